@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Accumulates counters, gauges and sets in memory and writes the aggregated messages through a client
+ * on an interval. Counters are summed, the last value of a gauge wins and sets keep their unique values.
+ * @param {Client} client The client to write the aggregated messages with
+ * @param {Number} flushInterval Milliseconds between two flushes
+ * @constructor
+ */
+function Aggregator(client, flushInterval) {
+    const self = this;
+
+    this.client = client;
+    this.metrics = new Map();
+    this.flushTimer = setInterval(() => {
+        self.flush();
+    }, flushInterval);
+    this.flushTimer.unref();
+}
+
+/**
+ * The types of metrics that can be aggregated
+ */
+Aggregator.TYPES = ['c', 'g', 's'];
+
+/**
+ * Adds a metric to the aggregate of its name, type and tags
+ * @param {String} name The full name of the metric
+ * @param {any} value The value of the metric
+ * @param {String} type The type of the metric, one of Aggregator.TYPES
+ * @param {String} tags The tags field of the metric, as formatted by the Client
+ */
+Aggregator.prototype.add = function add(name, value, type, tags) {
+    const key = `${type}|${name}|${tags}`;
+    let metric = this.metrics.get(key);
+
+    if (!metric) {
+        metric = {
+            name,
+            type,
+            tags,
+            value: type === 's' ? new Set() : 0
+        };
+        this.metrics.set(key, metric);
+    }
+
+    if (type === 'c') {
+        metric.value += Number(value);
+    } else if (type === 'g') {
+        metric.value = value;
+    } else {
+        metric.value.add(String(value));
+    }
+};
+
+/**
+ * Writes every aggregated metric through the client and starts over
+ */
+Aggregator.prototype.flush = function flush() {
+    const self = this,
+        metrics = Array.from(this.metrics.values());
+
+    this.metrics.clear();
+    metrics.forEach((metric) => {
+        const values = metric.type === 's' ? Array.from(metric.value) : [metric.value];
+
+        values.forEach((value) => {
+            self.client.write(`${metric.name}:${value}|${metric.type}${metric.tags}`);
+        });
+    });
+};
+
+/**
+ * Writes every aggregated metric and stops flushing on the interval
+ */
+Aggregator.prototype.close = function close() {
+    clearInterval(this.flushTimer);
+    this.flush();
+};
+
+module.exports = Aggregator;
@@ -0,0 +1,75 @@
+'use strict';
+
+/* eslint no-invalid-this: "off" */
+
+/**
+ * Adds a message to the buffer, flushing first if the message would not fit in the
+ * current datagram and afterwards if the buffer is full
+ * @param {String} message The message to buffer
+ * @param {Function=} callback Callback when the datagram holding the message is delivered. Optional.
+ */
+function enqueue(message, callback) {
+    const bytes = Buffer.byteLength(message);
+
+    // messages are joined with a newline, which takes one more byte
+    if (this.buffer.messages.length > 0 && this.buffer.bytes + 1 + bytes > this.maxBufferSize) {
+        this.flush();
+    }
+
+    this.buffer.bytes += this.buffer.messages.length > 0 ? bytes + 1 : bytes;
+    this.buffer.messages.push({
+        message,
+        bytes,
+        callback
+    });
+
+    if (this.buffer.bytes >= this.maxBufferSize) {
+        this.flush();
+    }
+}
+
+/**
+ * Sends all buffered messages as one datagram, after adding the aggregated metrics to the buffer.
+ * Each message callback is called with the error of the datagram or the number of bytes of its own message.
+ * The error goes to the error handler when there is no callback at all.
+ * @param {Function=} callback Callback with the error or the bytes of the whole datagram. Optional.
+ */
+function flush(callback) {
+    const self = this;
+
+    if (this.aggregator) {
+        this.aggregator.flush();
+    }
+
+    const pending = this.buffer.messages.splice(0, this.buffer.messages.length);
+
+    this.buffer.bytes = 0;
+    if (pending.length === 0) {
+        if (typeof callback === 'function') {
+            callback(null, 0);
+        }
+        return;
+    }
+
+    this.sendMessage(pending.map((item) => {
+        return item.message;
+    }).join('\n'), (error, bytes) => {
+        const callbacks = pending.filter((item) => {
+            return typeof item.callback === 'function';
+        });
+
+        callbacks.forEach((item) => {
+            item.callback(error, error ? undefined : item.bytes);
+        });
+        if (typeof callback === 'function') {
+            callback(error, bytes);
+        } else if (error && callbacks.length === 0) {
+            self.handleError(error);
+        }
+    });
+}
+
+exports.methods = {
+    enqueue,
+    flush
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const tagging = require('./tags');
+
+/**
+ * The number of contexts by metric name allowed when no valid limit is given
+ * @private
+ */
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * The key of a tag, the whole tag for a tag without value
+ * @param {String} tag
+ * @returns {String}
+ * @private
+ */
+function tagKey(tag) {
+    const index = String(tag).indexOf(':');
+
+    return index === -1 ? String(tag) : String(tag).slice(0, index);
+}
+
+/**
+ * Tracks the distinct combinations of tags, or contexts, of every metric name and limits the metrics that would
+ * go past the maximum of their name. Only the tags given to a metric method count, not the global tags.
+ * @param {Object} options
+ *   @option {Number}   limit       Maximum number of contexts by metric name, a positive number default: 1000
+ *   @option {String}   strategy    What to do with a metric of a new context past the limit: 'drop' drops it,
+ *                                  'collapse' replaces the tag values never seen on the metric with the
+ *                                  placeholder, and 'strip' removes the tags listed in tags default: drop
+ *   @option {Array}    tags        Keys of the tags removed by 'strip', and the only ones replaced by 'collapse'
+ *                                  when given default: []
+ *   @option {String}   placeholder The value of collapsed tags default: other
+ * @param {Function} notify Called with the stat, the tags and the strategy the first time a metric name is limited
+ * @constructor
+ */
+function CardinalityLimiter({
+    limit,
+    strategy = 'drop',
+    tags = [],
+    placeholder = 'other'
+}, notify) {
+    this.limit = typeof limit === 'number' && limit > 0 ? limit : DEFAULT_LIMIT;
+    this.strategy = strategy;
+    this.tags = tags;
+    this.placeholder = placeholder;
+    this.notify = notify;
+    this.metrics = new Map();
+}
+
+/**
+ * Counts the context of a metric and limits it once its name has too many
+ * @param {String} name The full name of the metric
+ * @param {Array|Object=} tags The tags given to the metric. Optional.
+ * @returns {Array|Object|undefined|null} The tags to send the metric with, or null to drop it
+ */
+CardinalityLimiter.prototype.check = function check(name, tags) {
+    const self = this,
+        normalized = tagging.normalizeTags(tags) || [],
+        context = normalized.slice().sort().join(',');
+    let metric = this.metrics.get(name);
+
+    if (!metric) {
+        metric = {
+            contexts: new Set(),
+            seen: new Set(),
+            limited: false
+        };
+        this.metrics.set(name, metric);
+    }
+
+    if (metric.contexts.has(context)) {
+        return tags;
+    }
+    if (metric.contexts.size < this.limit) {
+        metric.contexts.add(context);
+        normalized.forEach((tag) => {
+            metric.seen.add(String(tag));
+        });
+        return tags;
+    }
+
+    if (!metric.limited) {
+        metric.limited = true;
+        this.notify({
+            stat: name,
+            tags: normalized,
+            strategy: this.strategy
+        });
+    }
+
+    if (this.strategy === 'strip') {
+        return normalized.filter((tag) => {
+            return self.tags.indexOf(tagKey(tag)) === -1;
+        });
+    }
+    if (this.strategy === 'collapse') {
+        return normalized.map((tag) => {
+            const key = tagKey(tag),
+                offending = self.tags.length === 0 || self.tags.indexOf(key) !== -1;
+
+            if (!offending || metric.seen.has(String(tag))) {
+                return tag;
+            }
+            return key === String(tag) ? self.placeholder : `${key}:${self.placeholder}`;
+        });
+    }
+    return null;
+};
+
+module.exports = CardinalityLimiter;
@@ -0,0 +1,99 @@
+'use strict';
+
+const transports = require('./transports');
+
+/**
+ * The environment variables turned into global tags, as [variable, tag name]
+ * @private
+ */
+const TAG_VARIABLES = [
+    ['DD_ENV', 'env'],
+    ['DD_SERVICE', 'service'],
+    ['DD_VERSION', 'version'],
+    ['DD_ENTITY_ID', 'dd.internal.entity_id']
+];
+
+/**
+ * Parses DD_DOGSTATSD_URL, either udp://host:port or unixstream:///path/of/the/socket. A unix:// url names a
+ * datagram socket, which is not supported.
+ * @param {Object} env The environment
+ * @returns {Object} The host and port found, each undefined when absent, and the error of an unsupported url
+ * @private
+ */
+function parseUrl(env) {
+    const url = env.DD_DOGSTATSD_URL || '',
+        udp = (/^udp:\/\/(\[[^\]]+\]|[^:/]+)(?::(\d+))?\/?$/).exec(url);
+
+    if ((/^unixstream:\/\/./).test(url)) {
+        return {
+            host: url
+        };
+    }
+    if ((/^unix:\/\/./).test(url)) {
+        return {
+            error: new Error(`DD_DOGSTATSD_URL is ignored. ${
+                transports.datagramSocketError(url.slice('unix://'.length)).message}`)
+        };
+    }
+    if (udp) {
+        return {
+            host: udp[1].replace(/^\[(.*)\]$/, '$1'),
+            port: udp[2] && Number(udp[2])
+        };
+    }
+    return {};
+}
+
+/**
+ * The host of the agent: DD_DOGSTATSD_URL, or else DD_AGENT_HOST.
+ * A unixstream:// url is returned as is, the Client reads the socket path from it.
+ * @param {Object=} env The environment default: process.env
+ * @returns {String|undefined}
+ */
+function host(env = process.env) {
+    return parseUrl(env).host || env.DD_AGENT_HOST || undefined;
+}
+
+/**
+ * The port of the agent: the port of DD_DOGSTATSD_URL, or else DD_DOGSTATSD_PORT
+ * @param {Object=} env The environment default: process.env
+ * @returns {Number|undefined}
+ */
+function port(env = process.env) {
+    return parseUrl(env).port || Number(env.DD_DOGSTATSD_PORT) || undefined;
+}
+
+/**
+ * The error of a DD_DOGSTATSD_URL that is not supported, which is then ignored
+ * @param {Object=} env The environment default: process.env
+ * @returns {Error|null}
+ */
+function urlError(env = process.env) {
+    return parseUrl(env).error || null;
+}
+
+/**
+ * Adds the env, service, version and entity id tags of the environment to global tags,
+ * except where the global tags already have a tag of the same name
+ * @param {Array=} tags The global tags given to the Client
+ * @param {Object=} env The environment default: process.env
+ * @returns {Array|undefined} The global tags, or undefined if there are none
+ */
+function globalTags(tags, env = process.env) {
+    const given = tags || [],
+        names = given.map((tag) => {
+            return String(tag).split(':')[0];
+        }),
+        added = TAG_VARIABLES.filter((variable) => {
+            return env[variable[0]] && names.indexOf(variable[1]) === -1;
+        }).map((variable) => {
+            return `${variable[1]}:${env[variable[0]]}`;
+        });
+
+    return added.length > 0 ? given.concat(added) : tags;
+}
+
+exports.host = host;
+exports.port = port;
+exports.urlError = urlError;
+exports.globalTags = globalTags;
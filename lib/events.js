@@ -0,0 +1,199 @@
+'use strict';
+
+/* eslint no-invalid-this: "off" */
+const tagging = require('./tags');
+
+/**
+ * The largest event datagram the agent accepts, in bytes
+ */
+const MAX_EVENT_SIZE = 8 * 1024;
+
+/**
+ * The statuses of a service check
+ */
+const CHECKS = {
+    OK: 0,
+    WARNING: 1,
+    CRITICAL: 2,
+    UNKNOWN: 3
+};
+
+/**
+ * The optional event fields, as [option name, field prefix]
+ * @private
+ */
+const EVENT_FIELDS = [
+    ['hostname', 'h'],
+    ['aggregation_key', 'k'],
+    ['priority', 'p'],
+    ['source_type_name', 's'],
+    ['alert_type', 't']
+];
+
+/**
+ * Escapes newlines so that the agent reads them back as part of the field
+ * @param {any} text The text to escape
+ * @returns {String}
+ */
+function escapeNewlines(text) {
+    return String(text).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Formats a unix timestamp in seconds from a Date or a Number
+ * @param {Date|Number} date
+ * @returns {Number}
+ * @private
+ */
+function toTimestamp(date) {
+    return date instanceof Date ? Math.round(date.getTime() / 1000) : date;
+}
+
+/**
+ * Formats an event without its tags
+ * @param {String} title The title of the event
+ * @param {String} text The text of the event
+ * @param {Object=} options
+ *   @option {Date|Number} date_happened    Date or unix timestamp in seconds of the event default: now
+ *   @option {String}      hostname         Host name to associate with the event
+ *   @option {String}      aggregation_key  Key to group the event with others in the event stream
+ *   @option {String}      priority         'normal' or 'low' default: normal
+ *   @option {String}      source_type_name Source type of the event, such as 'nagios'
+ *   @option {String}      alert_type       'error', 'warning', 'info' or 'success' default: info
+ * @returns {String}
+ */
+function formatEvent(title, text, options = {}) {
+    const escapedTitle = escapeNewlines(title),
+        escapedText = escapeNewlines(text);
+    let message = `_e{${Buffer.byteLength(escapedTitle)},${Buffer.byteLength(escapedText)}}:` +
+        `${escapedTitle}|${escapedText}`;
+
+    if (options.date_happened) {
+        message = `${message}|d:${toTimestamp(options.date_happened)}`;
+    }
+
+    EVENT_FIELDS.forEach((field) => {
+        if (options[field[0]]) {
+            message = `${message}|${field[1]}:${options[field[0]]}`;
+        }
+    });
+
+    return message;
+}
+
+/**
+ * Formats a service check. The message field has to come last, so the tags are given here.
+ * @param {String} name The name of the check, with prefix and suffix
+ * @param {Number} status One of CHECKS
+ * @param {Object=} options
+ *   @option {Date|Number} timestamp Date or unix timestamp in seconds of the check default: now
+ *   @option {String}      hostname  Host name to associate with the check
+ *   @option {String}      message   A description of the status
+ * @param {String=} tags The tags field of the check, as formatted by the Client
+ * @returns {String}
+ */
+function formatCheck(name, status, options = {}, tags = '') {
+    let message = `_sc|${name}|${status}`;
+
+    if (options.timestamp) {
+        message = `${message}|d:${toTimestamp(options.timestamp)}`;
+    }
+    if (options.hostname) {
+        message = `${message}|h:${options.hostname}`;
+    }
+    message = `${message}${tags}`;
+    if (options.message) {
+        message = `${message}|m:${escapeNewlines(options.message).replace(/m:/g, 'm\\:')}`;
+    }
+
+    return message;
+}
+
+/**
+ * Sorts the optional arguments of event and check, where the options and the tags can be left out
+ * @param {Object=} options
+ * @param {Array|Object=} tags
+ * @param {Function=} callback
+ * @returns {Object} The options, tags and callback
+ * @private
+ */
+function optionalArguments(options, tags, callback) {
+    if (typeof options === 'function') {
+        return {
+            callback: options
+        };
+    }
+    if (Array.isArray(options)) {
+        return {
+            tags: options,
+            callback: tags
+        };
+    }
+    if (typeof tags === 'function') {
+        return {
+            options,
+            callback: tags
+        };
+    }
+    return {
+        options,
+        tags,
+        callback
+    };
+}
+
+/**
+ * Sends an event to the Datadog event stream
+ * @param {String} title The title of the event
+ * @param {String} text The text of the event
+ * @param {Object=} options date_happened, hostname, aggregation_key, priority, source_type_name and alert_type.
+ *                          Optional.
+ * @param {Array|Object=} tags The tags to add to the event. An Object of tags has to follow the options. Optional.
+ * @param {Function=} callback Callback when message is done being delivered. Optional.
+ */
+function event(title, text, options, tags, callback) {
+    const args = optionalArguments(options, tags, callback),
+        error = this.validate(undefined, args.tags),
+        message = `${formatEvent(title, text, args.options)}${this.formatTags(args.tags)}`;
+
+    if (error) {
+        this.fail(error, args.callback);
+    } else if (Buffer.byteLength(message) > MAX_EVENT_SIZE) {
+        this.fail(new Error(`Event "${title}" is larger than ${MAX_EVENT_SIZE} bytes`), args.callback);
+    } else {
+        this.telemetry.recordEvent();
+        this.write(message, args.callback);
+    }
+}
+
+/**
+ * Sends a service check
+ * @param {String} name The name of the check
+ * @param {Number} status The status of the check, one of Client.CHECKS
+ * @param {Object=} options timestamp, hostname and message. Optional.
+ * @param {Array|Object=} tags The tags to add to the check. An Object of tags has to follow the options. Optional.
+ * @param {Function=} callback Callback when message is done being delivered. Optional.
+ */
+function check(name, status, options, tags, callback) {
+    const args = optionalArguments(options, tags, callback),
+        fullName = `${this.prefix}${name}${this.suffix}`,
+        error = this.validate(fullName, args.tags);
+
+    if (error) {
+        this.fail(error, args.callback);
+    } else {
+        this.telemetry.recordCheck();
+        this.write(formatCheck(tagging.sanitizeName(fullName), status, args.options, this.formatTags(args.tags)),
+            args.callback);
+    }
+}
+
+exports.CHECKS = CHECKS;
+exports.MAX_EVENT_SIZE = MAX_EVENT_SIZE;
+exports.escapeNewlines = escapeNewlines;
+exports.formatEvent = formatEvent;
+exports.formatCheck = formatCheck;
+exports.methods = {
+    event,
+    check
+};
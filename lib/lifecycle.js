@@ -0,0 +1,113 @@
+'use strict';
+
+/* eslint no-invalid-this: "off" */
+
+/**
+ * Writes a message as a single datagram on the transport, through the send queue if there is one, counting it as
+ * in flight until it is sent or dropped
+ * @param {String} message The message to send
+ * @param {Function=} callback Callback when message is done being delivered. Optional.
+ */
+function sendMessage(message, callback) {
+    const self = this,
+        lifecycle = this.lifecycle,
+        buf = Buffer.from(message);
+
+    lifecycle.inFlight += 1;
+    (this.sendQueue || this.transport).send(buf, (error, bytes) => {
+        lifecycle.inFlight -= 1;
+        self.telemetry.recordPacket(buf.length, error);
+        if (typeof callback === 'function') {
+            callback(error, bytes);
+        } else if (error) {
+            self.handleError(error);
+        }
+        if (lifecycle.inFlight === 0) {
+            lifecycle.drained.splice(0, lifecycle.drained.length).forEach((drained) => {
+                drained();
+            });
+        }
+    });
+}
+
+/**
+ * Closes the client gracefully: sends the aggregated and buffered metrics, waits for the sends in flight, then
+ * closes the transport. Anything sent once close was called is dropped and reported as an error.
+ * @param {Object=} options
+ *   @option {Number} timeout Maximum milliseconds to wait for the sends in flight default: 2000
+ * @param {Function=} callback Callback once closed, with an error if the timeout expired. Optional.
+ * @returns {Promise|undefined} Without callback, a promise resolved once closed. It never rejects, an expired
+ *                              timeout goes to the error handler instead.
+ */
+function close(options, callback) {
+    const self = this,
+        lifecycle = this.lifecycle;
+    let timer = null,
+        finished = false;
+
+    if (typeof options === 'function') {
+        return this.close({}, options);
+    }
+    if (typeof callback !== 'function') {
+        return new Promise((resolve) => {
+            self.close(options, (error) => {
+                if (error) {
+                    self.handleError(error);
+                }
+                resolve();
+            });
+        });
+    }
+    if (lifecycle.closed) {
+        process.nextTick(callback);
+        return undefined;
+    }
+
+    const timeout = options && typeof options.timeout === 'number' ? options.timeout : 2000;
+
+    /**
+     * Closes the transport once, when the sends in flight are done or the timeout expired
+     * @param {Error=} error
+     * @private
+     */
+    function finish(error) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        if (self.sendQueue) {
+            self.sendQueue.close();
+        }
+        self.transport.close(() => {
+            callback(error);
+        });
+    }
+
+    clearInterval(this.flushTimer);
+    // the telemetry and the aggregated metrics are written to the buffer before its last flush
+    this.telemetry.stop();
+    if (this.aggregator) {
+        this.aggregator.close();
+    }
+    this.flush();
+    lifecycle.closed = true;
+
+    if (lifecycle.inFlight === 0) {
+        finish();
+        return undefined;
+    }
+    lifecycle.drained.push(() => {
+        finish();
+    });
+    timer = setTimeout(() => {
+        finish(new Error(`Closed after ${timeout}ms with ${lifecycle.inFlight} sends still in flight`));
+    }, timeout);
+    timer.unref();
+    return undefined;
+}
+
+exports.methods = {
+    sendMessage,
+    close
+};
@@ -0,0 +1,305 @@
+'use strict';
+
+/* eslint no-invalid-this: "off" */
+const Aggregator = require('./aggregator'),
+    tagging = require('./tags');
+
+/**
+ * Whether a sample rate drops a part of the metrics
+ * @param {Number=} sampleRate
+ * @returns {boolean}
+ * @private
+ */
+function isSampled(sampleRate) {
+    return Boolean(sampleRate) && sampleRate < 1;
+}
+
+/**
+ * The sample rate of a stat: the one given, or else the default of the client for the full name of the stat
+ * @param {Client} client
+ * @param {String} stat The stat
+ * @param {Number=} sampleRate The sample rate given. Optional.
+ * @returns {Number|undefined}
+ * @private
+ */
+function sampleRateOf(client, stat, sampleRate) {
+    if (typeof sampleRate === 'number') {
+        return sampleRate;
+    }
+    return client.sampleRates[`${client.prefix}${stat}${client.suffix}`];
+}
+
+/**
+ * The types of metrics that can carry a timestamp
+ * @private
+ */
+const TIMESTAMP_TYPES = ['c', 'g'];
+
+/**
+ * Timestamps from this number on are taken for milliseconds, such as Date.now(), rather than seconds
+ * @private
+ */
+const MAX_TIMESTAMP = 1e11;
+
+/**
+ * Sorts out the optional arguments of a metric method: the sample rate, the tags, the timestamp and the callback,
+ * in that order. The sample rate can be left out, a Date is the timestamp wherever it is, and the callback can
+ * come after any of them.
+ * @param {Array} args
+ * @returns {Object} The sampleRate, tags, timestamp and callback
+ * @private
+ */
+function optionalArguments(args) {
+    const last = args.findIndex((arg) => {
+            return typeof arg === 'function';
+        }),
+        given = last === -1 ? args.slice() : args.slice(0, last),
+        date = given.findIndex((arg) => {
+            return arg instanceof Date;
+        });
+    let timestamp;
+
+    if (date !== -1) {
+        timestamp = given.splice(date, 1)[0];
+    }
+    if (given[0] && typeof given[0] !== 'number') {
+        given.unshift(undefined);
+    }
+
+    return {
+        sampleRate: given[0],
+        tags: given[1],
+        timestamp: typeof timestamp === 'undefined' ? given[2] : timestamp,
+        callback: args[last]
+    };
+}
+
+/**
+ * Checks that a sample rate given to a metric method is a probability
+ * @param {Number=} sampleRate The sample rate given. Optional.
+ * @returns {Error|null} An error describing the invalid sample rate, or null
+ * @private
+ */
+function validateSampleRate(sampleRate) {
+    if (typeof sampleRate === 'number' && !(sampleRate > 0 && sampleRate <= 1)) {
+        return new Error(`Invalid sample rate "${sampleRate}": sample rates are greater than 0 and at most 1`);
+    }
+    return null;
+}
+
+/**
+ * Turns the timestamp of a metric into whole seconds since the epoch
+ * @param {Date|Number} timestamp A Date or seconds since the epoch
+ * @returns {Number|null} The seconds, or null if the timestamp is invalid or in milliseconds
+ * @private
+ */
+function secondsOf(timestamp) {
+    const seconds = timestamp instanceof Date ? timestamp.getTime() / 1000 : timestamp;
+
+    if (typeof seconds !== 'number' || !isFinite(seconds) || seconds <= 0 || seconds >= MAX_TIMESTAMP) {
+        return null;
+    }
+    return Math.floor(seconds);
+}
+
+/**
+ * Checks that a timestamp is valid and allowed on a type of metric
+ * @param {Date|Number=} timestamp The timestamp given. Optional.
+ * @param {String} type The type of the metric
+ * @returns {Error|null} An error describing the invalid timestamp, or null
+ * @private
+ */
+function validateTimestamp(timestamp, type) {
+    if (typeof timestamp === 'undefined' || timestamp === null) {
+        return null;
+    }
+    if (secondsOf(timestamp) === null) {
+        return new Error(`Invalid timestamp "${timestamp}": timestamps are a Date or seconds since the epoch`);
+    }
+    if (TIMESTAMP_TYPES.indexOf(type) === -1) {
+        return new Error(`Timestamps are only sent with counters and gauges, not with metrics of type "${type}"`);
+    }
+    return null;
+}
+
+/**
+ * Samples and sends one or an array of stats, calling back once all have sent. The stats of an array that have
+ * the same sample rate are sampled once, so that they are sent or dropped together.
+ * @param {String|Array} stat The stat(s) to send
+ * @param {any} value The value to send
+ * @param {String} type The type of stat being sent
+ * @param {...any} args The optional sample rate, tags, timestamp and callback:
+ *   {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
+ *   {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ *   {Date|Number=} timestamp The time of the metric, as a Date or seconds since the epoch. Optional.
+ *   {Function=} callback Callback when message is done being delivered. Optional.
+ */
+function sendAll(stat, value, type, ...args) {
+    const self = this,
+        decisions = new Map(),
+        {sampleRate, tags, timestamp, callback} = optionalArguments(args),
+        sampleRateError = validateSampleRate(sampleRate);
+    let completed = 0,
+        calledback = false,
+        sentBytes = 0;
+
+    // checked before the aggregator, which would otherwise keep the metrics of a closed client
+    if (this.lifecycle.closed) {
+        this.fail(new Error('The client is closed, the message was dropped'), callback);
+        return;
+    }
+    if (sampleRateError) {
+        this.fail(sampleRateError, callback);
+        return;
+    }
+
+    /**
+     * Gets called once for each callback, when all callbacks return we will
+     * call back from the function
+     * @param {Error} error
+     * @param {any} bytes
+     * @private
+     * @returns undefined
+     */
+    function onSend(error, bytes) {
+        completed += 1;
+        if (calledback || typeof callback !== 'function') {
+            return;
+        }
+
+        if (error) {
+            calledback = true;
+            return callback(error);
+        }
+
+        sentBytes += bytes;
+        if (completed === stat.length) {
+            callback(null, sentBytes);
+        }
+    }
+
+    // without a callback, errors go to the error handler
+    const done = Array.isArray(stat) && typeof callback === 'function' ? onSend : callback;
+
+    (Array.isArray(stat) ? stat : [stat]).forEach((item) => {
+        const rate = sampleRateOf(self, item, sampleRate);
+
+        if (!decisions.has(rate)) {
+            decisions.set(rate, !isSampled(rate) || self.sampler(rate, stat, tags));
+        }
+
+        if (decisions.get(rate)) {
+            self.send(item, value, type, {
+                sampleRate: rate,
+                tags,
+                timestamp
+            }, done);
+        } else {
+            // don't want to send if we don't meet the sample ratio
+            self.telemetry.recordSampledOut();
+            if (typeof done === 'function') {
+                done(null, 0);
+            }
+        }
+    });
+}
+
+/**
+ * Sends a stat across the wire, once sampled by sendAll, with its tags limited by the cardinality limiter if any
+ * @param {String} stat The stat to send
+ * @param {any} value The value to send
+ * @param {String} type The type of message to send to statsd
+ * @param {Object} options
+ *   @option {Number}        sampleRate The Number of times the stat was sampled (0 to 1)
+ *   @option {Array|Object}  tags       The Array or Object of tags to add to metrics
+ *   @option {Date|Number=}  timestamp  The time of a counter or gauge, as a Date or seconds since the epoch
+ * @param {Function=} callback Callback when message is done being delivered. Optional.
+ */
+function send(stat, value, type, {sampleRate, tags, timestamp}, callback) {
+    const name = `${this.prefix}${stat}${this.suffix}`,
+        error = this.validate(name, tags) || validateTimestamp(timestamp, type),
+        sanitizedName = tagging.sanitizeName(name);
+    const sampled = isSampled(sampleRate),
+        seconds = secondsOf(timestamp);
+    let message = `${sanitizedName}:${value}|${type}`;
+
+    if (error) {
+        this.fail(error, callback);
+        return;
+    }
+
+    if (this.cardinality) {
+        const limited = this.cardinality.check(sanitizedName, tags);
+
+        if (limited !== tags) {
+            this.telemetry.recordCardinalityLimit();
+        }
+        if (limited === null) {
+            if (typeof callback === 'function') {
+                callback(null, 0);
+            }
+            return;
+        }
+        tags = limited;
+    }
+
+    if (sampled) {
+        message = `${message}|@${sampleRate}`;
+    }
+
+    this.telemetry.recordMetric(type);
+    if (this.aggregator && !sampled && seconds === null && Aggregator.TYPES.indexOf(type) !== -1) {
+        // sampled and timestamped metrics are sent as they are, the others are sent on the next flush of the
+        // aggregator
+        this.aggregator.add(sanitizedName, value, type, this.formatTags(tags));
+        if (typeof callback === 'function') {
+            callback(null, 0);
+        }
+        return;
+    }
+
+    this.write(`${message}${this.formatTags(tags)}${seconds === null ? '' : `|T${seconds}`}`, callback);
+}
+
+/**
+ * Merges the given tags with the global tags
+ * @param {Array|Object=} tags The tags to add to the message. Optional.
+ * @returns {Array}
+ */
+function mergeTags(tags) {
+    return (tagging.normalizeTags(tags) || []).concat(this.global_tags || []);
+}
+
+/**
+ * Merges the given tags with the global tags into the tags field of a message,
+ * replacing the reserved characters of each tag
+ * @param {Array|Object=} tags The tags to add to the message. Optional.
+ * @returns {String} The tags field, or an empty string if there are no tags
+ */
+function formatTags(tags) {
+    const merged_tags = this.mergeTags(tags);
+
+    return merged_tags.length > 0 ? `|#${merged_tags.map(tagging.sanitizeTag).join(',')}` : '';
+}
+
+/**
+ * In strict mode, checks a name and the tags of a message for reserved characters
+ * @param {String=} name The full name, not checked when undefined
+ * @param {Array|Object=} tags The tags to add to the message. Optional.
+ * @returns {Error|null} An error describing the first invalid name or tag, or null
+ */
+function validate(name, tags) {
+    if (!this.strict) {
+        return null;
+    }
+    return (typeof name === 'undefined' ? null : tagging.validateName(name)) ||
+        tagging.validateTags(this.mergeTags(tags));
+}
+
+exports.methods = {
+    sendAll,
+    send,
+    mergeTags,
+    formatTags,
+    validate
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/* eslint no-invalid-this: "off" */
+const tagging = require('./tags');
+
+/**
+ * Path segments replaced by :id when normalizing a path: numbers, UUIDs and long hexadecimal IDs
+ * @private
+ */
+const ID_SEGMENT = /^(?:\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+/**
+ * Strips the query string of a url and replaces the path segments that look like IDs with :id,
+ * so that /users/42?full=1 becomes /users/:id
+ * @param {String} url The url of the request
+ * @returns {String}
+ */
+function normalizePath(url) {
+    return String(url).split('?')[0]
+        .split('/')
+        .map((segment) => {
+            return ID_SEGMENT.test(segment) ? ':id' : segment;
+        })
+        .join('/');
+}
+
+/**
+ * Finds the route of a request: the route matched by Express when there is one,
+ * or else the normalized path of the url
+ * @param {http.IncomingMessage} req
+ * @param {Function} normalize The function normalizing paths
+ * @returns {String}
+ * @private
+ */
+function routeOf(req, normalize) {
+    if (req.route && typeof req.route.path === 'string') {
+        return (req.baseUrl || '') + req.route.path;
+    }
+    return normalize(req.originalUrl || req.url);
+}
+
+/**
+ * Checks a path against the excluded paths
+ * @param {String} path The path of the request, without query string
+ * @param {Array} excludePaths Strings matching a path exactly and RegExps
+ * @returns {boolean}
+ * @private
+ */
+function isExcluded(path, excludePaths) {
+    return excludePaths.some((excluded) => {
+        return excluded instanceof RegExp ? excluded.test(path) : excluded === path;
+    });
+}
+
+/**
+ * Creates a middleware sending the duration and the count of the requests it sees, tagged with the method,
+ * the route and the status class (2xx, 4xx, ...) of the request. Requests closed before their response was
+ * sent have the status class aborted.
+ * The middleware is called as (req, res, next) by Express and connect, and can be called as (req, res) from a
+ * plain http request listener. The next argument is optional.
+ * @param {Object=} options
+ *   @option {String}        stat          The prefix of the metric names: <stat>.duration and <stat>.count
+ *                                         default: http.request
+ *   @option {Array|Object=} tags          Tags added to the metrics of every request. Optional.
+ *   @option {Function}      normalizePath Turns the url of a request without Express route into the route tag
+ *                                         default: strips the query string and replaces IDs with :id
+ *   @option {Array}         excludePaths  Paths (Strings or RegExps) of the requests to ignore default: []
+ *   @option {boolean}       distribution  Send the durations as distributions instead of timings default: false
+ * @returns {Function}
+ */
+function middleware({
+    stat = 'http.request',
+    tags,
+    normalizePath: normalize = normalizePath,
+    excludePaths = [],
+    distribution = false
+} = {}) {
+    const self = this,
+        extraTags = tagging.normalizeTags(tags) || [];
+
+    return function requestMiddleware(req, res, next) {
+        const start = process.hrtime();
+        let recorded = false;
+
+        function record(statusClass) {
+            const elapsed = process.hrtime(start),
+                requestTags = extraTags.concat([
+                    `method:${req.method}`,
+                    `route:${routeOf(req, normalize)}`,
+                    `status_class:${statusClass}`
+                ]);
+
+            if (recorded) {
+                return;
+            }
+            recorded = true;
+            self[distribution ? 'distribution' : 'timing'](`${stat}.duration`,
+                (elapsed[0] * 1e3) + (elapsed[1] / 1e6), requestTags);
+            self.increment(`${stat}.count`, 1, requestTags);
+        }
+
+        if (!isExcluded(String(req.originalUrl || req.url).split('?')[0], excludePaths)) {
+            res.once('finish', () => {
+                record(`${Math.floor(res.statusCode / 100)}xx`);
+            });
+            res.once('close', () => {
+                record('aborted');
+            });
+        }
+
+        if (typeof next === 'function') {
+            next();
+        }
+    };
+}
+
+exports.normalizePath = normalizePath;
+exports.methods = {
+    middleware
+};
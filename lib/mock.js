@@ -0,0 +1,112 @@
+'use strict';
+
+/* eslint no-invalid-this: "off" */
+const assert = require('assert');
+
+const parser = require('./parser'),
+    tagging = require('./tags');
+
+/**
+ * Checks that an entry has a name and all the given tags
+ * @param {Object} entry A parsed metric
+ * @param {String} name The full name of the metric
+ * @param {Array} tags The tags the metric must have
+ * @returns {boolean}
+ * @private
+ */
+function matches(entry, name, tags) {
+    return entry.name === name && tags.every((tag) => {
+        return entry.tags.indexOf(String(tag)) !== -1;
+    });
+}
+
+/**
+ * Finds the first parsed metric with a name and tags
+ * @param {Array} metrics The parsed metrics to search
+ * @param {String} name The full name of the metric, with prefix and suffix
+ * @param {Array|Object=} tags Tags the metric must have, among others. Optional.
+ * @returns {Object|undefined}
+ */
+function findMetric(metrics, name, tags) {
+    const wanted = tagging.normalizeTags(tags) || [];
+
+    return metrics.find((entry) => {
+        return matches(entry, name, wanted);
+    });
+}
+
+/**
+ * Records the lines of a message written by a mock client, in mockBuffer as formatted and in mockEntries as
+ * parsed when they are metrics
+ * @param {String} message The message to record
+ */
+function record(message) {
+    const self = this;
+
+    message.split('\n').forEach((line) => {
+        const entry = parser.parseMetric(line);
+
+        self.mockBuffer.push(line);
+        if (entry) {
+            self.mockEntries.push(entry);
+        }
+    });
+}
+
+/**
+ * Forgets the messages recorded by a mock client
+ */
+function clear() {
+    this.mockBuffer.length = 0;
+    this.mockEntries.length = 0;
+}
+
+/**
+ * Finds the first metric recorded by a mock client with a name and tags
+ * @param {String} name The full name of the metric, with prefix and suffix
+ * @param {Array|Object=} tags Tags the metric must have, among others. Optional.
+ * @returns {Object|undefined} The name, value, type, sampleRate, tags and containerID of the metric
+ */
+function find(name, tags) {
+    return findMetric(this.mockEntries, name, tags);
+}
+
+/**
+ * Asserts that a mock client recorded a metric, throwing an AssertionError listing the recorded
+ * messages otherwise
+ * @param {String} name The full name of the metric, with prefix and suffix
+ * @param {Object=} expected
+ *   @option {any}           value      The value of the metric. Optional.
+ *   @option {String}        type       The type of the metric, such as c or ms. Optional.
+ *   @option {Number}        sampleRate The sample rate of the metric. Optional.
+ *   @option {Array|Object=} tags       Tags the metric must have, among others. Optional.
+ * @returns {Object} The first matching metric
+ */
+function assertSent(name, expected = {}) {
+    const wanted = tagging.normalizeTags(expected.tags) || [],
+        entry = this.mockEntries.find((candidate) => {
+            return matches(candidate, name, wanted) && ['value', 'type', 'sampleRate'].every((field) => {
+                return typeof expected[field] === 'undefined' || candidate[field] === expected[field];
+            });
+        });
+
+    if (!entry) {
+        const sent = this.mockBuffer.join('\n');
+
+        throw new assert.AssertionError({
+            message: `Expected ${name} to be sent with ${JSON.stringify(expected)}, sent:\n${sent}`,
+            expected,
+            actual: this.mockEntries,
+            stackStartFunction: assertSent
+        });
+    }
+    return entry;
+}
+
+exports.findMetric = findMetric;
+exports.methods = {
+    record,
+    clear,
+    find,
+    assertSent
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * A container ID at the end of a cgroup path: a 64 character hexadecimal ID, as used by docker and containerd
+ * (optionally within a systemd docker-<id>.scope), a Kubernetes pod UUID, or an ECS task ID
+ * @private
+ */
+const CGROUP_CONTAINER_ID = /(?:^|[/-])([0-9a-f]{64}|[0-9a-f]{8}(?:-[0-9a-f]{4}){4}|[0-9a-f]{32}-\d+)(?:\.scope)?$/;
+
+/**
+ * A container ID in the source of a mount: the runtimes mount /etc/hostname and the like from the directory
+ * of the container
+ * @private
+ */
+const MOUNTINFO_CONTAINER_ID = /\/containers\/([0-9a-f]{64})\//;
+
+/**
+ * Reads a file, or returns an empty string when it cannot be read
+ * @param {String} path
+ * @returns {String}
+ * @private
+ */
+function readFile(path) {
+    try {
+        return fs.readFileSync(path, 'utf8');
+    } catch (errIgnore) {
+        return '';
+    }
+}
+
+/**
+ * Finds the container ID in the content of /proc/self/cgroup. Lines are hierarchy-ID:controllers:path,
+ * cgroup v1 has one line per hierarchy and cgroup v2 a single 0:: line.
+ * @param {String} content
+ * @returns {String|null}
+ */
+function parseCgroup(content) {
+    const lines = content.split('\n');
+
+    for (let i = 0; i < lines.length; i += 1) {
+        const fields = lines[i].split(':'),
+            match = CGROUP_CONTAINER_ID.exec(fields.slice(2).join(':'));
+
+        if (match) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the container ID in the content of /proc/self/mountinfo, for cgroup v2 hosts where the cgroup
+ * namespace of the container hides its path
+ * @param {String} content
+ * @returns {String|null}
+ */
+function parseMountinfo(content) {
+    const lines = content.split('\n');
+
+    for (let i = 0; i < lines.length; i += 1) {
+        const match = MOUNTINFO_CONTAINER_ID.exec(lines[i]);
+
+        if (match && lines[i].indexOf('/sandboxes/') === -1) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Detects the ID of the container the process runs in
+ * @param {Object=} paths
+ *   @option {String} cgroupPath    default: /proc/self/cgroup
+ *   @option {String} mountinfoPath default: /proc/self/mountinfo
+ * @returns {String|null} The container ID, or null outside of a container or when it cannot be found
+ */
+function detectContainerId({
+    cgroupPath = '/proc/self/cgroup',
+    mountinfoPath = '/proc/self/mountinfo'
+} = {}) {
+    return parseCgroup(readFile(cgroupPath)) || parseMountinfo(readFile(mountinfoPath));
+}
+
+exports.parseCgroup = parseCgroup;
+exports.parseMountinfo = parseMountinfo;
+exports.detectContainerId = detectContainerId;
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * The metric types of the DogStatsD protocol whose values are numbers. Sets keep their values as Strings.
+ * @private
+ */
+const NUMERIC_TYPES = ['c', 'g', 'ms', 'h', 'd'];
+
+/**
+ * The optional event fields, as [field prefix, property name], named after the options of Client#event
+ * @private
+ */
+const EVENT_FIELDS = [
+    ['d', 'date_happened'],
+    ['h', 'hostname'],
+    ['k', 'aggregation_key'],
+    ['p', 'priority'],
+    ['s', 'source_type_name'],
+    ['t', 'alert_type']
+];
+
+/**
+ * Reads back newlines escaped by the Client
+ * @param {String} text
+ * @returns {String}
+ * @private
+ */
+function unescapeNewlines(text) {
+    return text.replace(/\\n/g, '\n');
+}
+
+/**
+ * Reads the |#tags and |c:container fields shared by metrics, events and service checks
+ * @param {String} field A field, without its leading |
+ * @param {Object} parsed The metric, event or service check the field belongs to
+ * @private
+ */
+function parseCommonField(field, parsed) {
+    if (field[0] === '#') {
+        parsed.tags = field.slice(1).split(',');
+    } else if (field.slice(0, 2) === 'c:') {
+        parsed.containerID = field.slice(2);
+    }
+}
+
+/**
+ * Parses a metric: name:value|type followed by the optional |@rate, |#tags, |Ttimestamp and |c:container fields
+ * @param {String} line A single line of a packet
+ * @returns {Object|null} The name, value, type, sampleRate, tags, timestamp in seconds and containerID of the
+ *                        metric, or null if the line is not a metric
+ */
+function parseMetric(line) {
+    const fields = String(line).split('|'),
+        separator = fields[0].indexOf(':'),
+        metric = {
+            name: fields[0].slice(0, separator),
+            value: fields[0].slice(separator + 1),
+            type: fields[1],
+            sampleRate: 1,
+            tags: [],
+            timestamp: null,
+            containerID: null
+        };
+
+    if (separator <= 0 || !metric.type || (/^_e\{/).test(metric.name)) {
+        return null;
+    }
+    if (NUMERIC_TYPES.indexOf(metric.type) !== -1) {
+        metric.value = Number(metric.value);
+    }
+
+    fields.slice(2).forEach((field) => {
+        if (field[0] === '@') {
+            metric.sampleRate = Number(field.slice(1));
+        } else if (field[0] === 'T') {
+            metric.timestamp = Number(field.slice(1));
+        } else {
+            parseCommonField(field, metric);
+        }
+    });
+    return metric;
+}
+
+/**
+ * Parses an event: _e{title length,text length}:title|text followed by the optional fields.
+ * The lengths are in bytes, so that the title and the text can hold any character.
+ * @param {String} line A single line of a packet
+ * @returns {Object|null} The title, text, tags, containerID and the optional fields named as the options
+ *                        of Client#event, or null if the line is not an event
+ */
+function parseEvent(line) {
+    const header = (/^_e\{(\d+),(\d+)\}:/).exec(line),
+        buf = Buffer.from(String(line)),
+        event = {
+            tags: [],
+            containerID: null
+        };
+
+    if (!header) {
+        return null;
+    }
+
+    const titleStart = Buffer.byteLength(header[0]),
+        textStart = titleStart + Number(header[1]) + 1,
+        textEnd = textStart + Number(header[2]);
+
+    // the title and the text are separated by a |
+    if (textEnd > buf.length || buf[textStart - 1] !== 0x7c) {
+        return null;
+    }
+    event.title = unescapeNewlines(buf.toString('utf8', titleStart, textStart - 1));
+    event.text = unescapeNewlines(buf.toString('utf8', textStart, textEnd));
+
+    buf.toString('utf8', textEnd).split('|')
+        .slice(1)
+        .forEach((field) => {
+            const known = EVENT_FIELDS.find((eventField) => {
+                return field.slice(0, 2) === `${eventField[0]}:`;
+            });
+
+            if (known) {
+                event[known[1]] = known[0] === 'd' ? Number(field.slice(2)) : field.slice(2);
+            } else {
+                parseCommonField(field, event);
+            }
+        });
+    return event;
+}
+
+/**
+ * Parses a service check: _sc|name|status followed by the optional |d:timestamp, |h:hostname, |#tags,
+ * |m:message and |c:container fields
+ * @param {String} line A single line of a packet
+ * @returns {Object|null} The name, status, timestamp, hostname, tags, message and containerID of the check,
+ *                        or null if the line is not a service check
+ */
+function parseCheck(line) {
+    const fields = String(line).split('|'),
+        check = {
+            name: fields[1],
+            status: Number(fields[2]),
+            tags: [],
+            containerID: null
+        };
+
+    if (fields[0] !== '_sc' || !check.name || isNaN(check.status)) {
+        return null;
+    }
+
+    fields.slice(3).forEach((field) => {
+        if (field.slice(0, 2) === 'd:') {
+            check.timestamp = Number(field.slice(2));
+        } else if (field.slice(0, 2) === 'h:') {
+            check.hostname = field.slice(2);
+        } else if (field.slice(0, 2) === 'm:') {
+            check.message = unescapeNewlines(field.slice(2).replace(/m\\:/g, 'm:'));
+        } else {
+            parseCommonField(field, check);
+        }
+    });
+    return check;
+}
+
+/**
+ * Parses a packet of newline separated metrics, events and service checks
+ * @param {Buffer|String} packet The packet, as received by the agent
+ * @returns {Object} The metrics, events and checks Arrays of the packet, and the invalid Array of the lines
+ *                   that could not be parsed
+ */
+function parsePacket(packet) {
+    const parsed = {
+        metrics: [],
+        events: [],
+        checks: [],
+        invalid: []
+    };
+
+    String(packet).split('\n')
+        .filter((line) => {
+            return line.length > 0;
+        })
+        .forEach((line) => {
+            const event = parseEvent(line),
+                check = !event && parseCheck(line),
+                metric = !event && !check && parseMetric(line);
+
+            if (event) {
+                parsed.events.push(event);
+            } else if (check) {
+                parsed.checks.push(check);
+            } else if (metric) {
+                parsed.metrics.push(metric);
+            } else {
+                parsed.invalid.push(line);
+            }
+        });
+    return parsed;
+}
+
+exports.parseMetric = parseMetric;
+exports.parseEvent = parseEvent;
+exports.parseCheck = parseCheck;
+exports.parsePacket = parsePacket;
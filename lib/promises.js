@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * The methods of the Client that get a promise returning variant
+ * @private
+ */
+const METHODS = [
+    'timing',
+    'increment',
+    'decrement',
+    'histogram',
+    'distribution',
+    'gauge',
+    'set',
+    'unique',
+    'event',
+    'check'
+];
+
+/**
+ * Creates the promise returning variants of the methods of a client. Each takes the same arguments as the
+ * method of the client without the callback, and resolves with the bytes sent or rejects with the error.
+ * @param {Client} client The client to send with
+ * @returns {Object}
+ */
+function createPromiseApi(client) {
+    const api = {};
+
+    METHODS.forEach((method) => {
+        api[method] = function promised(...args) {
+            return new Promise((resolve, reject) => {
+                // the value of increment and decrement is optional, so it has to keep its position
+                while (args.length > 2 && typeof args[args.length - 1] === 'undefined') {
+                    args.pop();
+                }
+                if (args.length < 2) {
+                    args.length = 2;
+                }
+
+                client[method](...args, (error, bytes) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(bytes);
+                    }
+                });
+            });
+        };
+    });
+
+    api.flush = function flush() {
+        return new Promise((resolve, reject) => {
+            client.flush((error, bytes) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(bytes);
+                }
+            });
+        });
+    };
+
+    return api;
+}
+
+exports.createPromiseApi = createPromiseApi;
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * How much a message type is worth keeping under the priority drop policy, the lowest is dropped first
+ * @private
+ */
+const PRIORITIES = {
+    h: 0,
+    d: 0,
+    ms: 0,
+    s: 1,
+    c: 2,
+    g: 3
+};
+
+/**
+ * The priority of events and service checks, which are never aggregated and kept before metrics
+ * @private
+ */
+const PRIORITY_EVENT = 4;
+
+/**
+ * The priority of a message, the highest of its lines
+ * @param {Buffer} buf The message
+ * @returns {Number}
+ * @private
+ */
+function priorityOf(buf) {
+    return buf.toString().split('\n').reduce((highest, line) => {
+        if (line.indexOf('_e{') === 0 || line.indexOf('_sc|') === 0) {
+            return Math.max(highest, PRIORITY_EVENT);
+        }
+        const type = line.split('|')[1];
+
+        return Math.max(highest, type in PRIORITIES ? PRIORITIES[type] : 0);
+    }, 0);
+}
+
+/**
+ * Limits the sends in flight on a transport, holding the other messages in a bounded queue. When the queue is
+ * full, a message is dropped according to the drop policy and its callback gets an error.
+ * @param {Object} transport The transport to send on
+ * @param {Object} options
+ *   @option {Number}   maxSize     Maximum number of messages held
+ *   @option {Number}   maxInFlight Maximum number of sends in flight on the transport default: 16
+ *   @option {String}   dropPolicy  'drop-newest' drops the message sent to a full queue, 'drop-oldest' the first
+ *                                  message held, and 'priority' the oldest message of the lowest priority: timings,
+ *                                  histograms and distributions, then sets, counters, gauges, and events and
+ *                                  service checks last default: drop-newest
+ *   @option {Function} onDrop      Called with the size of every dropped message. Optional.
+ * @constructor
+ */
+function SendQueue(transport, {
+    maxSize,
+    maxInFlight = 16,
+    dropPolicy = 'drop-newest',
+    onDrop
+}) {
+    this.transport = transport;
+    this.maxSize = maxSize;
+    this.maxInFlight = maxInFlight;
+    this.dropPolicy = dropPolicy;
+    this.onDrop = onDrop;
+    this.items = [];
+    this.inFlight = 0;
+}
+
+/**
+ * Sends a message on the transport when there is room in flight, or holds it
+ * @param {Buffer} buf The message
+ * @param {Function} callback Callback with the error or the bytes sent
+ */
+SendQueue.prototype.send = function send(buf, callback) {
+    const item = {
+        buf,
+        callback
+    };
+
+    if (this.items.length === 0 && this.inFlight < this.maxInFlight) {
+        this.write(item);
+        return;
+    }
+    if (this.items.length < this.maxSize) {
+        this.items.push(item);
+        return;
+    }
+
+    const dropped = this.victim(item);
+
+    if (dropped !== item) {
+        this.items.splice(this.items.indexOf(dropped), 1);
+        this.items.push(item);
+    }
+    this.drop(dropped, new Error(`The send queue is full, the message was dropped (${this.dropPolicy})`));
+};
+
+/**
+ * Picks the message to drop when a message is sent to a full queue
+ * @param {Object} item The message sent
+ * @returns {Object} The message sent or one of the messages held
+ * @private
+ */
+SendQueue.prototype.victim = function victim(item) {
+    if (this.dropPolicy === 'drop-oldest') {
+        return this.items[0];
+    }
+    if (this.dropPolicy !== 'priority') {
+        return item;
+    }
+
+    let lowest = item;
+
+    item.priority = priorityOf(item.buf);
+    this.items.forEach((held) => {
+        if (typeof held.priority === 'undefined') {
+            held.priority = priorityOf(held.buf);
+        }
+        // the message sent is dropped before a held message of the same priority
+        if (held.priority < lowest.priority) {
+            lowest = held;
+        }
+    });
+    return lowest;
+};
+
+/**
+ * Writes a message on the transport, then the next messages held
+ * @param {Object} item
+ * @private
+ */
+SendQueue.prototype.write = function write(item) {
+    const self = this;
+
+    this.inFlight += 1;
+    this.transport.send(item.buf, (error, bytes) => {
+        self.inFlight -= 1;
+        item.callback(error, bytes);
+        while (self.items.length > 0 && self.inFlight < self.maxInFlight) {
+            self.write(self.items.shift());
+        }
+    });
+};
+
+/**
+ * Drops a message
+ * @param {Object} item
+ * @param {Error} error The error to call back with
+ * @private
+ */
+SendQueue.prototype.drop = function drop(item, error) {
+    if (typeof this.onDrop === 'function') {
+        this.onDrop(item.buf.length);
+    }
+    item.callback(error);
+};
+
+/**
+ * Drops the messages still held
+ */
+SendQueue.prototype.close = function close() {
+    const self = this;
+
+    this.items.splice(0, this.items.length).forEach((item) => {
+        self.drop(item, new Error('The send queue is closed, the message was dropped'));
+    });
+};
+
+module.exports = SendQueue;
@@ -0,0 +1,182 @@
+'use strict';
+
+const tagging = require('./tags');
+
+/**
+ * perf_hooks, or null on versions of Node.js without it
+ * @private
+ */
+const perfHooks = (function loadPerfHooks() {
+    try {
+        return require('perf_hooks');
+    } catch (errIgnore) {
+        return null;
+    }
+}());
+
+/**
+ * The gc_type tag of the kinds of garbage collection reported by perf_hooks
+ * @private
+ */
+const GC_TYPES = {
+    1: 'minor',
+    4: 'major',
+    8: 'incremental',
+    16: 'weakcb'
+};
+
+/**
+ * Counts the handles and requests keeping the event loop alive
+ * @returns {Number|null} The count, or null when this version of Node.js cannot tell
+ * @private
+ */
+function activeHandles() {
+    if (typeof process.getActiveResourcesInfo === 'function') {
+        return process.getActiveResourcesInfo().length;
+    }
+    return typeof process._getActiveHandles === 'function' ? process._getActiveHandles().length : null;
+}
+
+/**
+ * Samples the memory, event loop delay, garbage collection pauses and active handles of the process and sends
+ * them through a client on an interval, with the global tags of the client. The event loop delay and the
+ * garbage collection pauses need perf_hooks, and are left out on versions of Node.js without it.
+ * @param {Client} client The client to send the metrics with
+ * @param {Object=} options
+ *   @option {String}        namespace The prefix of the metric names default: runtime.node
+ *   @option {Number}        interval  Milliseconds between two samples default: 10000
+ *   @option {Array|Object=} tags      Tags added to the runtime metrics. Optional.
+ * @constructor
+ */
+function RuntimeMetrics(client, {
+    namespace = 'runtime.node',
+    interval = 10000,
+    tags
+} = {}) {
+    this.client = client;
+    this.namespace = namespace;
+    this.interval = interval;
+    this.tags = tagging.normalizeTags(tags) || [];
+    this.timer = null;
+    this.loopDelay = null;
+    this.gcObserver = null;
+    this.pauses = new Map();
+}
+
+/**
+ * Sends a gauge under the namespace
+ * @param {String} name The name of the metric, after the namespace
+ * @param {Number} value
+ * @private
+ */
+RuntimeMetrics.prototype.gauge = function gauge(name, value) {
+    this.client.gauge(`${this.namespace}.${name}`, value, this.tags);
+};
+
+/**
+ * Adds a garbage collection pause to the count, sum and maximum of its type until the next sample
+ * @param {PerformanceEntry} entry A gc entry of perf_hooks
+ * @private
+ */
+RuntimeMetrics.prototype.addPause = function addPause(entry) {
+    // the kind moved to entry.detail in Node.js 16
+    const kind = entry.detail ? entry.detail.kind : entry.kind,
+        type = GC_TYPES[kind] || 'unknown',
+        pauses = this.pauses.get(type) || {
+            count: 0,
+            sum: 0,
+            max: 0
+        };
+
+    pauses.count += 1;
+    pauses.sum += entry.duration;
+    pauses.max = Math.max(pauses.max, entry.duration);
+    this.pauses.set(type, pauses);
+};
+
+/**
+ * Sends the metrics sampled since the last call: memory usage, active handles, the event loop delay
+ * in milliseconds and, by type of garbage collection, the count, total and longest pause in milliseconds
+ */
+RuntimeMetrics.prototype.collect = function collect() {
+    const self = this,
+        memory = process.memoryUsage(),
+        handles = activeHandles();
+
+    this.gauge('heap.used', memory.heapUsed);
+    this.gauge('heap.total', memory.heapTotal);
+    this.gauge('memory.rss', memory.rss);
+    this.gauge('memory.external', memory.external);
+    if (handles !== null) {
+        this.gauge('handles.active', handles);
+    }
+
+    if (this.loopDelay) {
+        // the histogram is in nanoseconds
+        this.gauge('event_loop.delay.mean', this.loopDelay.mean / 1e6);
+        this.gauge('event_loop.delay.max', this.loopDelay.max / 1e6);
+        this.gauge('event_loop.delay.p99', this.loopDelay.percentile(99) / 1e6);
+        this.loopDelay.reset();
+    }
+
+    this.pauses.forEach((pauses, type) => {
+        const tags = self.tags.concat([`gc_type:${type}`]);
+
+        self.client.increment(`${self.namespace}.gc.count`, pauses.count, tags);
+        self.client.increment(`${self.namespace}.gc.pause.sum`, pauses.sum, tags);
+        self.client.gauge(`${self.namespace}.gc.pause.max`, pauses.max, tags);
+    });
+    this.pauses.clear();
+};
+
+/**
+ * Starts sampling on the interval
+ * @returns {RuntimeMetrics} this
+ */
+RuntimeMetrics.prototype.start = function start() {
+    const self = this;
+
+    if (this.timer) {
+        return this;
+    }
+
+    if (perfHooks && typeof perfHooks.monitorEventLoopDelay === 'function') {
+        this.loopDelay = perfHooks.monitorEventLoopDelay();
+        this.loopDelay.enable();
+    }
+    if (perfHooks && typeof perfHooks.PerformanceObserver === 'function') {
+        this.gcObserver = new perfHooks.PerformanceObserver((list) => {
+            list.getEntries().forEach((entry) => {
+                self.addPause(entry);
+            });
+        });
+        this.gcObserver.observe({
+            entryTypes: ['gc']
+        });
+    }
+
+    this.timer = setInterval(() => {
+        self.collect();
+    }, this.interval);
+    this.timer.unref();
+    return this;
+};
+
+/**
+ * Stops sampling
+ */
+RuntimeMetrics.prototype.stop = function stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.loopDelay) {
+        this.loopDelay.disable();
+        this.loopDelay = null;
+    }
+    if (this.gcObserver) {
+        this.gcObserver.disconnect();
+        this.gcObserver = null;
+    }
+    this.pauses.clear();
+};
+
+module.exports = RuntimeMetrics;
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * The FNV-1a offset basis and prime, for 32 bit hashes
+ * @private
+ */
+const FNV_OFFSET = 0x811c9dc5,
+    FNV_PRIME = 0x01000193;
+
+/**
+ * Hashes a value into a number in [0, 1), the same for the same value
+ * @param {any} value The value to hash, as a String
+ * @returns {Number}
+ */
+function hash(value) {
+    const text = String(value);
+    let result = FNV_OFFSET;
+
+    for (let i = 0; i < text.length; i += 1) {
+        result = Math.imul(result ^ text.charCodeAt(i), FNV_PRIME) >>> 0;
+    }
+    return result / 0x100000000;
+}
+
+/**
+ * Creates a sampler keeping a metric when a random number is below its sample rate.
+ * Samplers are called with the sample rate, the stat (or Array of stats) and the tags given to a metric method.
+ * @param {Function=} random Returns a random number in [0, 1) default: Math.random
+ * @returns {Function} A sampler returning true to send the metric
+ */
+function randomSampler(random) {
+    return function sample(sampleRate) {
+        return (typeof random === 'function' ? random() : Math.random()) < sampleRate;
+    };
+}
+
+/**
+ * Creates a sampler keeping a metric when the hash of a key is below its sample rate, so that the metrics with
+ * the same key, such as the metrics of a trace, are sent or dropped together. Metrics without a key are sampled
+ * at random.
+ * @param {Function} key Called with the stat and the tags of a metric, returns its key or undefined
+ * @returns {Function} A sampler returning true to send the metric
+ */
+function hashSampler(key) {
+    const fallback = randomSampler();
+
+    return function sample(sampleRate, stat, tags) {
+        const value = key(stat, tags);
+
+        if (value === null || typeof value === 'undefined') {
+            return fallback(sampleRate);
+        }
+        return hash(value) < sampleRate;
+    };
+}
+
+exports.hash = hash;
+exports.randomSampler = randomSampler;
+exports.hashSampler = hashSampler;
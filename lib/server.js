@@ -0,0 +1,191 @@
+'use strict';
+
+const dgram = require('dgram'),
+    EventEmitter = require('events'),
+    net = require('net'),
+    util = require('util');
+
+const mocking = require('./mock'),
+    parser = require('./parser');
+
+/**
+ * A local stand-in for the agent, for tests. It receives packets over UDP, over a Unix domain socket framed
+ * as the stream socket of the agent, or over TCP as newline terminated messages, and collects them parsed.
+ * Emits 'packet' with every packet received, 'metric', 'event' and 'check' with every parsed message, and
+ * 'error' with the errors of its socket.
+ * @param {Object=} options
+ *   @option {String} protocol 'udp', 'uds' or 'tcp' default: udp
+ *   @option {String} host     The address to listen on, for udp and tcp default: 127.0.0.1
+ *   @option {Number} port     The port to listen on, for udp and tcp default: 0, any free port
+ *   @option {String} path     The path of the socket to listen on, for uds
+ * @constructor
+ */
+function Server({
+    protocol = 'udp',
+    host = '127.0.0.1',
+    port = 0,
+    path
+} = {}) {
+    Reflect.apply(EventEmitter, this, []);
+
+    this.protocol = protocol;
+    this.host = host;
+    this.port = port;
+    this.path = path;
+    this.socket = null;
+    this.connections = new Set();
+    this.packets = [];
+    this.metrics = [];
+    this.events = [];
+    this.checks = [];
+    this.invalid = [];
+}
+
+util.inherits(Server, EventEmitter);
+
+/**
+ * Reads the length prefixed frames of a stream connection, as written to the stream socket of the agent
+ * @param {net.Socket} connection
+ * @private
+ */
+Server.prototype.readFrames = function readFrames(connection) {
+    const self = this;
+    let pending = Buffer.alloc(0);
+
+    connection.on('data', (data) => {
+        pending = Buffer.concat([pending, data]);
+        while (pending.length >= 4 && pending.length >= 4 + pending.readUInt32LE(0)) {
+            const length = pending.readUInt32LE(0);
+
+            self.receive(pending.slice(4, 4 + length));
+            pending = pending.slice(4 + length);
+        }
+    });
+};
+
+/**
+ * Reads the newline terminated messages of a tcp connection
+ * @param {net.Socket} connection
+ * @private
+ */
+Server.prototype.readLines = function readLines(connection) {
+    const self = this;
+    let pending = '';
+
+    connection.setEncoding('utf8');
+    connection.on('data', (data) => {
+        const lines = (pending + data).split('\n');
+
+        pending = lines.pop();
+        lines.forEach((line) => {
+            self.receive(line);
+        });
+    });
+};
+
+/**
+ * Starts listening
+ * @param {Function=} callback Callback once listening. Optional.
+ */
+Server.prototype.listen = function listen(callback) {
+    const self = this,
+        listening = () => {
+            if (typeof callback === 'function') {
+                callback();
+            }
+        };
+
+    if (this.protocol === 'udp') {
+        this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+        this.socket.on('message', (packet) => {
+            self.receive(packet);
+        });
+        this.socket.bind(this.port, this.host, listening);
+    } else {
+        this.socket = net.createServer((connection) => {
+            self.connections.add(connection);
+            connection.on('close', () => {
+                self.connections.delete(connection);
+            });
+            connection.on('error', () => {
+                // the client going away is not an error of the server
+            });
+            if (self.protocol === 'uds') {
+                self.readFrames(connection);
+            } else {
+                self.readLines(connection);
+            }
+        });
+        this.socket.listen(this.protocol === 'uds' ? this.path : {
+            host: this.host,
+            port: this.port
+        }, listening);
+    }
+    this.socket.on('error', (error) => {
+        self.emit('error', error);
+    });
+};
+
+/**
+ * The address listened on, as given by the socket: the address, family and port for udp and tcp,
+ * the path for uds
+ * @returns {Object|String}
+ */
+Server.prototype.address = function address() {
+    return this.socket.address();
+};
+
+/**
+ * Parses and collects a packet
+ * @param {Buffer|String} packet
+ */
+Server.prototype.receive = function receive(packet) {
+    const self = this,
+        parsed = parser.parsePacket(packet);
+
+    this.packets.push(String(packet));
+    this.emit('packet', String(packet));
+    [['metrics', 'metric'], ['events', 'event'], ['checks', 'check']].forEach((kind) => {
+        parsed[kind[0]].forEach((item) => {
+            self[kind[0]].push(item);
+            self.emit(kind[1], item);
+        });
+    });
+    parsed.invalid.forEach((line) => {
+        self.invalid.push(line);
+    });
+};
+
+/**
+ * Finds the first metric received with a name and tags
+ * @param {String} name The full name of the metric, with prefix and suffix
+ * @param {Array|Object=} tags Tags the metric must have, among others. Optional.
+ * @returns {Object|undefined} The name, value, type, sampleRate, tags and containerID of the metric
+ */
+Server.prototype.find = function find(name, tags) {
+    return mocking.findMetric(this.metrics, name, tags);
+};
+
+/**
+ * Forgets everything received
+ */
+Server.prototype.clear = function clear() {
+    this.packets.length = 0;
+    this.metrics.length = 0;
+    this.events.length = 0;
+    this.checks.length = 0;
+    this.invalid.length = 0;
+};
+
+/**
+ * Stops listening, ending the connections of the clients
+ * @param {Function=} callback Callback once closed. Optional.
+ */
+Server.prototype.close = function close(callback) {
+    this.connections.forEach((connection) => {
+        connection.destroy();
+    });
+    this.socket.close(callback);
+};
+
+module.exports = Server;
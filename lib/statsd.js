@@ -1,49 +1,225 @@
 'use strict';
 
-const dgram = require('dgram'),
-    dns = require('dns');
+const EventEmitter = require('events'),
+    util = require('util');
+
+const Aggregator = require('./aggregator'),
+    buffer = require('./buffer'),
+    CardinalityLimiter = require('./cardinality'),
+    environment = require('./environment'),
+    events = require('./events'),
+    lifecycle = require('./lifecycle'),
+    metrics = require('./metrics'),
+    middleware = require('./middleware'),
+    mocking = require('./mock'),
+    origin = require('./origin'),
+    parser = require('./parser'),
+    promises = require('./promises'),
+    RuntimeMetrics = require('./runtime'),
+    sampling = require('./sampling'),
+    SendQueue = require('./queue'),
+    Server = require('./server'),
+    tagging = require('./tags'),
+    Telemetry = require('./telemetry'),
+    timers = require('./timers'),
+    transports = require('./transports');
 
 /**
- * The UDP Client for StatsD
+ * The Client for StatsD, sending over UDP, TCP or a Unix domain socket.
+ * Emits 'error' for errors that have no callback to go to, only when listened to.
+ * Options that are not given fall back to the DD_* environment variables of the agent.
+ * The timers of the client and of its parts are unref'd, so that sending metrics never keeps the process alive.
  * @param {Object} options
- *   @option {String}         host        The host to connect to default: localhost
- *   @option {String|Integer} port        The port to connect to default: 8125
+ *   @option {String}         host        The host to connect to, or unixstream:// or unix:// followed by the path of
+ *                                        the stream socket of the agent
+ *                                        default: DD_DOGSTATSD_URL, DD_AGENT_HOST or localhost
+ *   @option {String|Integer} port        The port to connect to default: DD_DOGSTATSD_URL, DD_DOGSTATSD_PORT or 8125
  *   @option {String}         prefix      An optional prefix to assign to each stat name sent
  *   @option {String}         suffix      An optional suffix to assign to each stat name sent
  *   @option {boolean}        globalize   An optional boolean to add "statsd" as an object in the global namespace
  *   @option {boolean}        cacheDns    An optional option to only lookup the hostname -> ip address once
+ *   @option {Number}         dnsTtl      Optional milliseconds after which a cached dns lookup is done again,
+ *                                        never when 0 default: 0
  *   @option {boolean}        mock        Optional boolean indicating this Client is a mock object, no stats are sent.
- *   @option {Array=}         global_tags Optional tags that will be added to every metric
+ *                                        The messages are recorded in mockBuffer and mockEntries instead.
+ *   @option {Array|Object=}  global_tags Optional tags that will be added to every metric, along with tags from
+ *                                        DD_ENV, DD_SERVICE, DD_VERSION and DD_ENTITY_ID
+ *   @option {boolean}        strict      Optional boolean to call back with an error for metric names and tags
+ *                                        containing reserved characters, instead of replacing them default: false
+ *   @option {Number}         maxBufferSize       Optional size in bytes of the datagrams built from buffered messages.
+ *                                                Buffering is disabled when 0 (the default)
+ *   @option {Number}         bufferFlushInterval Optional interval in milliseconds after which buffered messages are
+ *                                                sent even if the buffer is not full default: 1000
+ *   @option {boolean}        aggregate   Optional boolean to aggregate counters, gauges and sets in memory and send
+ *                                        them every aggregationFlushInterval default: false
+ *   @option {Number}         aggregationFlushInterval Optional milliseconds between two sends of the aggregated
+ *                                                     metrics default: 2000
+ *   @option {boolean}        telemetry   Optional boolean to send datadog.dogstatsd.client.* metrics counting what
+ *                                        this client sent, dropped and failed to send default: false
+ *   @option {Number}         telemetryFlushInterval Optional milliseconds between two sends of the telemetry
+ *                                                   metrics default: 10000
+ *   @option {boolean}        timingAsDistribution Optional boolean to send timings as distributions default: false
+ *   @option {String}         socketPath  Optional path of the stream socket of the agent, instead of a unixstream://
+ *                                        host. Connecting to a datagram socket is reported as an error.
+ *   @option {String}         protocol    Optional protocol to send over, 'udp' or 'tcp' default: udp
+ *   @option {Number}         reconnectDelay    Optional milliseconds before reconnecting a lost TCP or Unix socket
+ *                                              connection, doubled on every failed attempt default: 100
+ *   @option {Number}         maxReconnectDelay Optional maximum milliseconds between reconnection attempts
+ *                                              default: 10000
+ *   @option {Number}         disconnectedQueueSize Optional maximum number of messages held while a TCP or Unix
+ *                                                  socket is disconnected default: 1000
+ *   @option {Function}       errorHandler Optional function called with the errors that have no callback to go to,
+ *                                         instead of emitting them
+ *   @option {boolean}        originDetection Optional boolean to read the ID of the container the process runs in
+ *                                            from /proc and send it with every message default: false
+ *   @option {String}         containerID Optional ID of the container to send with every message, instead of the
+ *                                        detected one
+ *   @option {Function}       sampler     Optional function called with the sample rate, the stat(s) and the tags of
+ *                                        a sampled metric, returning true to send it default: StatsD.randomSampler()
+ *   @option {Object}         sampleRates Optional default sample rates by full metric name, for the metrics sent
+ *                                        without sample rate
+ *   @option {Number}         sendQueueSize Optional maximum number of messages held while maxInFlight sends are in
+ *                                          flight, 0 for no limit on the sends in flight default: 0
+ *   @option {Number}         maxInFlight   Optional maximum number of sends in flight with a send queue default: 16
+ *   @option {String}         dropPolicy    Optional message dropped when the send queue is full: 'drop-newest',
+ *                                          'drop-oldest' or 'priority', keeping gauges before counters, sets and
+ *                                          then timings, histograms and distributions default: drop-newest
+ *   @option {Object}         cardinalityLimit Optional limit, strategy, tags and placeholder of the distinct tag
+ *                                             combinations allowed by metric name, see CardinalityLimiter
+ *   @option {Function}       onCardinalityLimit Optional function called with the stat, the tags and the strategy
+ *                                               the first time a metric name goes past the cardinality limit
  * @constructor
  */
 function Client({
-    host = 'localhost',
-    port = 8125,
+    host = environment.host() || 'localhost',
+    port = environment.port() || 8125,
     prefix = '',
     suffix = '',
     globalize = false,
     cacheDns = false,
+    dnsTtl = 0,
     mock = false,
-    global_tags
+    global_tags,
+    strict = false,
+    maxBufferSize = 0,
+    bufferFlushInterval = 1000,
+    aggregate = false,
+    aggregationFlushInterval = 2000,
+    telemetry = false,
+    telemetryFlushInterval = 10000,
+    timingAsDistribution = false,
+    socketPath,
+    protocol = 'udp',
+    reconnectDelay,
+    maxReconnectDelay,
+    disconnectedQueueSize,
+    errorHandler,
+    originDetection = false,
+    containerID,
+    sampler = sampling.randomSampler(),
+    sampleRates = {},
+    sendQueueSize = 0,
+    maxInFlight,
+    dropPolicy,
+    cardinalityLimit,
+    onCardinalityLimit
 } = {}) {
     const self = this;
 
+    Reflect.apply(EventEmitter, this, []);
+
     this.host = host;
     this.port = port;
     this.prefix = prefix;
     this.suffix = suffix;
-    this.socket = dgram.createSocket('udp4');
+    // the path of a unix:// host is connected to as a stream socket too, a datagram socket is reported
+    const unixHost = (/^unix(stream)?:\/\//).exec(host);
+
+    this.socketPath = socketPath || (unixHost ? host.slice(unixHost[0].length) : undefined);
+    this.transport = transports.createTransport(this, {
+        protocol,
+        socketPath: this.socketPath,
+        stream: {
+            reconnectDelay,
+            maxReconnectDelay,
+            queueSize: disconnectedQueueSize
+        }
+    });
+    this.transport.on('error', (error) => {
+        self.fail(error);
+    });
+    const urlError = environment.urlError();
+
+    if (urlError) {
+        // reported once the caller could listen to the errors
+        process.nextTick(() => {
+            self.fail(urlError);
+        });
+    }
+    if (sendQueueSize > 0) {
+        this.sendQueue = new SendQueue(this.transport, {
+            maxSize: sendQueueSize,
+            maxInFlight,
+            dropPolicy,
+            onDrop: (bytes) => {
+                self.telemetry.recordQueueDrop(bytes);
+            }
+        });
+    }
+    this.errorHandler = errorHandler;
     this.mock = mock === true;
-    this.global_tags = global_tags;
+    this.mockBuffer = [];
+    this.mockEntries = [];
+    this.global_tags = environment.globalTags(tagging.normalizeTags(global_tags));
+    this.strict = strict === true;
+    this.timingAsDistribution = timingAsDistribution === true;
+    this.sampler = sampler;
+    this.sampleRates = Object.assign(Object.create(null), sampleRates);
+    this.containerID = containerID || (originDetection === true && origin.detectContainerId()) || null;
+    this.maxBufferSize = maxBufferSize;
+    // state shared with child clients is only ever mutated in place
+    this.buffer = {
+        messages: [],
+        bytes: 0
+    };
+    this.lifecycle = {
+        closed: false,
+        inFlight: 0,
+        drained: []
+    };
 
-    if (cacheDns === true) {
-        dns.lookup(host, (err, address, family) => { // eslint-disable-line
-            if (err == null) {
-                self.host = address;
+    if (maxBufferSize > 0) {
+        this.flushTimer = setInterval(() => {
+            self.flush();
+        }, bufferFlushInterval);
+        this.flushTimer.unref();
+    }
+
+    if (cardinalityLimit) {
+        this.cardinality = new CardinalityLimiter(cardinalityLimit, (limited) => {
+            if (typeof onCardinalityLimit === 'function') {
+                onCardinalityLimit(limited);
             }
+            self.emit('cardinalityLimit', limited);
         });
     }
 
+    this.telemetry = new Telemetry(this);
+    if (telemetry === true) {
+        this.telemetry.start(telemetryFlushInterval);
+    }
+
+    if (aggregate === true) {
+        this.aggregator = new Aggregator(this, aggregationFlushInterval);
+    }
+
+    if (this.transport.type === 'udp' && cacheDns === true) {
+        this.transport.cacheDns(host, dnsTtl);
+    } else if (this.transport.type === 'udp') {
+        // the address is left to the operating system, the lookup only picks the family of the socket
+        this.transport.lookupFamily(host);
+    }
+
     if (globalize) {
         global.statsd = this;
     }
@@ -54,11 +230,11 @@ function Client({
  * @param {String|Array} stat The stat(s) to send
  * @param {Number} time The time in milliseconds to send
  * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
- * @param {Array=} tags The Array of tags to add to metrics. Optional.
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
  * @param {Function=} callback Callback when message is done being delivered. Optional.
  */
 Client.prototype.timing = function timing(stat, time, sampleRate, tags, callback) {
-    this.sendAll(stat, time, 'ms', sampleRate, tags, callback);
+    this.sendAll(stat, time, this.timingAsDistribution ? 'd' : 'ms', sampleRate, tags, callback);
 };
 
 /**
@@ -66,11 +242,12 @@ Client.prototype.timing = function timing(stat, time, sampleRate, tags, callback
  * @param {String|Array} stat The stat(s) to send
  * @param {any} value The value to send
  * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
- * @param {Array=} tags The Array of tags to add to metrics. Optional.
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Date|Number=} timestamp The time of the metric, as a Date or seconds since the epoch. Optional.
  * @param {Function=} callback Callback when message is done being delivered. Optional.
  */
-Client.prototype.increment = function incrementBy(stat, value = 1, sampleRate, tags, callback) {
-    this.sendAll(stat, value, 'c', sampleRate, tags, callback);
+Client.prototype.increment = function incrementBy(stat, value = 1, sampleRate, tags, timestamp, callback) {
+    this.sendAll(stat, value, 'c', sampleRate, tags, timestamp, callback);
 };
 
 /**
@@ -78,11 +255,12 @@ Client.prototype.increment = function incrementBy(stat, value = 1, sampleRate, t
  * @param {String|Array} stat The stat(s) to send
  * @param {any} value The value to send
  * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
- * @param {Array=} tags The Array of tags to add to metrics. Optional.
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Date|Number=} timestamp The time of the metric, as a Date or seconds since the epoch. Optional.
  * @param {Function=} callback Callback when message is done being delivered. Optional.
  */
-Client.prototype.decrement = function decrementBy(stat, value = 1, sampleRate, tags, callback) {
-    this.sendAll(stat, -value, 'c', sampleRate, tags, callback);
+Client.prototype.decrement = function decrementBy(stat, value = 1, sampleRate, tags, timestamp, callback) {
+    this.sendAll(stat, -value, 'c', sampleRate, tags, timestamp, callback);
 };
 
 /**
@@ -90,23 +268,36 @@ Client.prototype.decrement = function decrementBy(stat, value = 1, sampleRate, t
  * @param {String|Array} stat The stat(s) to send
  * @param {any} value The value to send
  * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
- * @param {Array=} tags The Array of tags to add to metrics. Optional.
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
  * @param {Function=} callback Callback when message is done being delivered. Optional.
  */
 Client.prototype.histogram = function histogram(stat, value, sampleRate, tags, callback) {
     this.sendAll(stat, value, 'h', sampleRate, tags, callback);
 };
 
+/**
+ * Represents the distribution stat, aggregated globally across hosts
+ * @param {String|Array} stat The stat(s) to send
+ * @param {any} value The value to send
+ * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Function=} callback Callback when message is done being delivered. Optional.
+ */
+Client.prototype.distribution = function distribution(stat, value, sampleRate, tags, callback) {
+    this.sendAll(stat, value, 'd', sampleRate, tags, callback);
+};
+
 /**
  * Gauges a stat by a specified amount
  * @param {String|Array} stat The stat(s) to send
  * @param {any} value The value to send
  * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
- * @param {Array=} tags The Array of tags to add to metrics. Optional.
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Date|Number=} timestamp The time of the metric, as a Date or seconds since the epoch. Optional.
  * @param {Function=} callback Callback when message is done being delivered. Optional.
  */
-Client.prototype.gauge = function gauge(stat, value, sampleRate, tags, callback) {
-    this.sendAll(stat, value, 'g', sampleRate, tags, callback);
+Client.prototype.gauge = function gauge(stat, value, sampleRate, tags, timestamp, callback) {
+    this.sendAll(stat, value, 'g', sampleRate, tags, timestamp, callback);
 };
 
 /**
@@ -114,7 +305,7 @@ Client.prototype.gauge = function gauge(stat, value, sampleRate, tags, callback)
  * @param {String|Array} stat The stat(s) to send
  * @param {any} value The value to send
  * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
- * @param {Array=} tags The Array of tags to add to metrics. Optional.
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
  * @param {Function=} callback Callback when message is done being delivered. Optional.
  */
 Client.prototype.unique =
@@ -123,113 +314,136 @@ Client.prototype.unique =
     };
 
 /**
- * Checks if stats is an array and sends all stats calling back once all have sent
- * @param {String|Array} stat The stat(s) to send
- * @param {any} value The value to send
- * @param {String} type The type of stat being sent
- * @param {Number=} sampleRate The Number of times to sample (0 to 1). Optional.
- * @param {Array=} tags The Array of tags to add to metrics. Optional.
- * @param {Function=} callback Callback when message is done being delivered. Optional.
+ * Creates a client sharing the transport, buffer and options of this client, with its own prefix, suffix
+ * and tags added to those of this client. Closing either client closes both.
+ * @param {Object=} options
+ *   @option {String} prefix     Prefix added after the prefix of this client
+ *   @option {String} suffix     Suffix added before the suffix of this client
+ *   @option {Array|Object=} globalTags Tags added to the global tags of this client
+ * @returns {Client}
  */
-Client.prototype.sendAll = function sendAll(stat, value, type, sampleRate, tags, callback) {
-    const self = this;
-    let completed = 0,
-        calledback = false,
-        sentBytes = 0;
-
-    if (sampleRate && typeof sampleRate !== 'number') {
-        callback = tags;
-        tags = sampleRate;
-        sampleRate = undefined;
-    }
-
-    if (tags && !Array.isArray(tags)) {
-        callback = tags;
-        tags = undefined;
-    }
-
-    /**
-     * Gets called once for each callback, when all callbacks return we will
-     * call back from the function
-     * @param {Error} error
-     * @param {any} bytes
-     * @private
-     * @returns undefined
-     */
-    function onSend(error, bytes) {
-        completed += 1;
-        if (calledback || typeof callback !== 'function') {
-            return;
-        }
+Client.prototype.childClient = function childClient({
+    prefix = '',
+    suffix = '',
+    globalTags = []
+} = {}) {
+    const child = Object.create(this);
 
-        if (error) {
-            calledback = true;
-            return callback(error);
-        }
+    child.prefix = `${this.prefix}${prefix}`;
+    child.suffix = `${suffix}${this.suffix}`;
+    child.global_tags = (this.global_tags || []).concat(tagging.normalizeTags(globalTags) || []);
+    return child;
+};
 
-        sentBytes += bytes;
-        if (completed === stat.length) {
-            callback(null, sentBytes);
-        }
+/**
+ * Reports an error to the callback of the message it prevented from being sent, or to the error handler
+ * @param {Error} error The error
+ * @param {Function=} callback Callback of the message. Optional.
+ */
+Client.prototype.fail = function fail(error, callback) {
+    this.telemetry.recordError();
+    if (typeof callback === 'function') {
+        callback(error);
+    } else {
+        this.handleError(error);
     }
+};
 
-    if (Array.isArray(stat)) {
-        stat.forEach((item) => {
-            self.send(item, value, type, sampleRate, tags, onSend);
-        });
-    } else {
-        this.send(stat, value, type, sampleRate, tags, callback);
+/**
+ * Hands an error to the errorHandler option, or emits it if there are 'error' listeners. Otherwise the
+ * error is dropped, so that metrics never crash the process.
+ * @param {Error} error The error
+ */
+Client.prototype.handleError = function handleError(error) {
+    if (typeof this.errorHandler === 'function') {
+        this.errorHandler(error);
+    } else if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
     }
 };
 
 /**
- * Sends a stat across the wire
- * @param {String|Array} stat The stat(s) to send
- * @param {any} value The value to send
- * @param {String} type The type of message to send to statsd
- * @param {Number} sampleRate The Number of times to sample (0 to 1)
- * @param {Array} tags The Array of tags to add to metrics
+ * Starts sending the runtime metrics of the process through this client. The returned collector is stopped
+ * independently of the client, with its stop().
+ * @param {Object=} options namespace, interval and tags of the RuntimeMetrics. Optional.
+ * @returns {RuntimeMetrics}
+ */
+Client.prototype.startRuntimeMetrics = function startRuntimeMetrics(options) {
+    return new RuntimeMetrics(this, options).start();
+};
+
+/**
+ * Returns the counts of the metrics, events and service checks sent, of the metrics dropped by sampling,
+ * of the bytes and packets sent and dropped by the transport or the send queue, and of the errors, since the client
+ * was created
+ * @returns {Object}
+ */
+Client.prototype.getStats = function getStats() {
+    return this.telemetry.getStats();
+};
+
+/**
+ * Hands a formatted message of one or more lines to the buffer or the socket, adding the container ID to every line
+ * @param {String} message The message to send
  * @param {Function=} callback Callback when message is done being delivered. Optional.
  */
-Client.prototype.send = function send(stat, value, type, sampleRate, tags, callback) {
-    let message = `${this.prefix}${stat}${this.suffix}:${value}|${type}`,
-        merged_tags = [],
-        buf;
-
-    if (sampleRate && sampleRate < 1) {
-        if (Math.random() < sampleRate) {
-            message = `${message}|@${sampleRate}`;
-        } else {
-            // don't want to send if we don't meet the sample ratio
-            return;
-        }
+Client.prototype.write = function write(message, callback) {
+    if (this.lifecycle.closed) {
+        this.fail(new Error('The client is closed, the message was dropped'), callback);
+        return;
     }
 
-    if (tags && Array.isArray(tags)) {
-        merged_tags = merged_tags.concat(tags);
-    }
-    if (this.global_tags && Array.isArray(this.global_tags)) {
-        merged_tags = merged_tags.concat(this.global_tags);
-    }
-    if (merged_tags.length > 0) {
-        message = `${message}|#${merged_tags.join(',')}`;
+    if (this.containerID) {
+        message = message.split('\n').map((line) => {
+            return `${line}|c:${tagging.sanitizeTag(this.containerID)}`;
+        }).join('\n');
     }
 
-    // Only send this stat if we're not a mock Client.
-    if (!this.mock) {
-        buf = new Buffer(message);
-        this.socket.send(buf, 0, buf.length, this.port, this.host, callback);
-    } else if (typeof callback === 'function') {
-        callback(null, 0);
+    // Only send this message if we're not a mock Client.
+    if (this.mock) {
+        this.record(message);
+        if (typeof callback === 'function') {
+            callback(null, 0);
+        }
+    } else if (this.maxBufferSize > 0) {
+        this.enqueue(message, callback);
+    } else {
+        this.sendMessage(message, callback);
     }
 };
 
+// The methods of these modules are mixed into Client.prototype, where this is the client. Each of them switches
+// off no-invalid-this, which takes their functions for plain functions.
+Object.assign(Client.prototype, buffer.methods, events.methods, lifecycle.methods, metrics.methods, middleware.methods,
+    mocking.methods, timers.methods);
+
 /**
- * Close the underlying socket and stop listening for data on it.
+ * The socket of the UDP transport, which changes when the host resolves to an address of another family
  */
-Client.prototype.close = function close() {
-    this.socket.close();
-};
+Reflect.defineProperty(Client.prototype, 'socket', {
+    get: function getSocket() {
+        return this.transport.socket;
+    }
+});
+
+/**
+ * The promise returning variants of the metric, event and check methods and of flush, for example
+ * client.promises.increment('my_counter').then((bytes) => {})
+ */
+Reflect.defineProperty(Client.prototype, 'promises', {
+    get: function getPromises() {
+        return promises.createPromiseApi(this);
+    }
+});
+
+Client.CHECKS = Client.prototype.CHECKS = events.CHECKS;
+Client.randomSampler = sampling.randomSampler;
+Client.hashSampler = sampling.hashSampler;
+
+util.inherits(Client, EventEmitter);
 
 exports = module.exports = Client;
 exports.StatsD = Client;
+exports.RuntimeMetrics = RuntimeMetrics;
+exports.Server = Server;
+exports.parser = parser;
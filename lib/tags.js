@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Characters that end a tag in the datagram
+ * @private
+ */
+const RESERVED_TAG_CHARACTERS = /[,|#\r\n]/g;
+
+/**
+ * Characters that end a metric name in the datagram
+ * @private
+ */
+const RESERVED_NAME_CHARACTERS = /[:|@#\r\n]/g;
+
+/**
+ * Turns tags given as an Array or as an Object of tag names to values into an Array of tags.
+ * Object values that are null or undefined give a tag without value.
+ * @param {Array|Object=} tags
+ * @returns {Array|undefined} The tags, or undefined if none were given
+ */
+function normalizeTags(tags) {
+    if (Array.isArray(tags)) {
+        return tags;
+    }
+    if (!tags || typeof tags !== 'object') {
+        return undefined;
+    }
+    return Object.keys(tags).map((key) => {
+        return tags[key] === null || typeof tags[key] === 'undefined' ? key : `${key}:${tags[key]}`;
+    });
+}
+
+/**
+ * Replaces the reserved characters of a tag with underscores
+ * @param {any} tag
+ * @returns {String}
+ */
+function sanitizeTag(tag) {
+    return String(tag).replace(RESERVED_TAG_CHARACTERS, '_');
+}
+
+/**
+ * Replaces the reserved characters of a metric name with underscores
+ * @param {any} name
+ * @returns {String}
+ */
+function sanitizeName(name) {
+    return String(name).replace(RESERVED_NAME_CHARACTERS, '_');
+}
+
+/**
+ * Checks a metric name for reserved characters
+ * @param {String} name The full metric name
+ * @returns {Error|null} An error describing the invalid name, or null
+ */
+function validateName(name) {
+    if (sanitizeName(name) !== String(name)) {
+        return new Error(`Invalid metric name "${name}": names cannot contain ':', '|', '@', '#' or newlines`);
+    }
+    return null;
+}
+
+/**
+ * Checks tags for reserved characters
+ * @param {Array} tags The tags to check
+ * @returns {Error|null} An error describing the first invalid tag, or null
+ */
+function validateTags(tags) {
+    const invalid = tags.filter((tag) => {
+        return sanitizeTag(tag) !== String(tag);
+    });
+
+    if (invalid.length > 0) {
+        return new Error(`Invalid tag "${invalid[0]}": tags cannot contain ',', '|', '#' or newlines`);
+    }
+    return null;
+}
+
+exports.normalizeTags = normalizeTags;
+exports.sanitizeTag = sanitizeTag;
+exports.sanitizeName = sanitizeName;
+exports.validateName = validateName;
+exports.validateTags = validateTags;
@@ -0,0 +1,185 @@
+'use strict';
+
+const version = require('../package.json').version;
+
+/**
+ * The namespace of the telemetry metrics
+ * @private
+ */
+const NAMESPACE = 'datadog.dogstatsd.client';
+
+/**
+ * The counters sent as telemetry metrics, as [stat name, metric name]
+ * @private
+ */
+const COUNTERS = [
+    ['metrics', 'metrics'],
+    ['events', 'events'],
+    ['serviceChecks', 'service_checks'],
+    ['metricsSampledOut', 'metrics_sampled_out'],
+    ['metricsCardinalityLimited', 'metrics_cardinality_limited'],
+    ['bytesSent', 'bytes_sent'],
+    ['bytesDropped', 'bytes_dropped'],
+    ['packetsSent', 'packets_sent'],
+    ['packetsDropped', 'packets_dropped'],
+    ['packetsDroppedQueue', 'packets_dropped_queue'],
+    ['bytesDroppedQueue', 'bytes_dropped_queue'],
+    ['errors', 'errors']
+];
+
+/**
+ * Creates zeroed stats
+ * @returns {Object}
+ * @private
+ */
+function emptyStats() {
+    const stats = {
+        metricsByType: {}
+    };
+
+    COUNTERS.forEach((counter) => {
+        stats[counter[0]] = 0;
+    });
+    return stats;
+}
+
+/**
+ * Counts what a client sends, drops and fails to send, and can send those counts as
+ * datadog.dogstatsd.client.* metrics on an interval
+ * @param {Client} client The client to count for and to send the telemetry metrics with
+ * @constructor
+ */
+function Telemetry(client) {
+    this.client = client;
+    this.stats = emptyStats();
+    this.reported = emptyStats();
+    this.flushTimer = null;
+}
+
+/**
+ * Counts a metric that passed sampling
+ * @param {String} type The type of the metric
+ */
+Telemetry.prototype.recordMetric = function recordMetric(type) {
+    this.stats.metrics += 1;
+    this.stats.metricsByType[type] = (this.stats.metricsByType[type] || 0) + 1;
+};
+
+/**
+ * Counts an event
+ */
+Telemetry.prototype.recordEvent = function recordEvent() {
+    this.stats.events += 1;
+};
+
+/**
+ * Counts a service check
+ */
+Telemetry.prototype.recordCheck = function recordCheck() {
+    this.stats.serviceChecks += 1;
+};
+
+/**
+ * Counts a metric dropped by sampling
+ */
+Telemetry.prototype.recordSampledOut = function recordSampledOut() {
+    this.stats.metricsSampledOut += 1;
+};
+
+/**
+ * Counts a metric dropped or changed by the cardinality limiter
+ */
+Telemetry.prototype.recordCardinalityLimit = function recordCardinalityLimit() {
+    this.stats.metricsCardinalityLimited += 1;
+};
+
+/**
+ * Counts an error
+ */
+Telemetry.prototype.recordError = function recordError() {
+    this.stats.errors += 1;
+};
+
+/**
+ * Counts a packet handed to the transport
+ * @param {Number} bytes The size of the packet
+ * @param {Error=} error The error of the transport, if the packet could not be sent
+ */
+Telemetry.prototype.recordPacket = function recordPacket(bytes, error) {
+    if (error) {
+        this.stats.packetsDropped += 1;
+        this.stats.bytesDropped += bytes;
+        this.stats.errors += 1;
+    } else {
+        this.stats.packetsSent += 1;
+        this.stats.bytesSent += bytes;
+    }
+};
+
+/**
+ * Counts a packet dropped by a full or closed send queue, before reaching the transport
+ * @param {Number} bytes The size of the packet
+ */
+Telemetry.prototype.recordQueueDrop = function recordQueueDrop(bytes) {
+    this.stats.packetsDroppedQueue += 1;
+    this.stats.bytesDroppedQueue += bytes;
+};
+
+/**
+ * Returns a copy of the counts since the client was created
+ * @returns {Object}
+ */
+Telemetry.prototype.getStats = function getStats() {
+    return Object.assign({}, this.stats, {
+        metricsByType: Object.assign({}, this.stats.metricsByType)
+    });
+};
+
+/**
+ * Sends what was counted since the last flush as telemetry metrics, in a single message
+ */
+Telemetry.prototype.flush = function flush() {
+    const self = this,
+        stats = this.getStats(),
+        tags = `|#client:nodejs,client_version:${version},client_transport:${this.client.transport.type}`,
+        lines = COUNTERS.map((counter) => {
+            return `${NAMESPACE}.${counter[1]}:${stats[counter[0]] - self.reported[counter[0]]}|c${tags}`;
+        });
+
+    Object.keys(stats.metricsByType).forEach((type) => {
+        const count = stats.metricsByType[type] - (self.reported.metricsByType[type] || 0);
+
+        if (count > 0) {
+            lines.push(`${NAMESPACE}.metrics_by_type:${count}|c${tags},metrics_type:${type}`);
+        }
+    });
+
+    this.reported = stats;
+    this.client.write(lines.join('\n'));
+};
+
+/**
+ * Starts sending the telemetry metrics on an interval
+ * @param {Number} interval Milliseconds between two flushes
+ */
+Telemetry.prototype.start = function start(interval) {
+    const self = this;
+
+    this.flushTimer = setInterval(() => {
+        self.flush();
+    }, interval);
+    this.flushTimer.unref();
+};
+
+/**
+ * Stops sending the telemetry metrics, once the counts since the last flush are sent
+ */
+Telemetry.prototype.stop = function stop() {
+    if (this.flushTimer) {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        this.flush();
+    }
+};
+
+module.exports = Telemetry;
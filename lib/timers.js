@@ -0,0 +1,150 @@
+'use strict';
+
+/* eslint no-invalid-this: "off" */
+const tagging = require('./tags');
+
+/**
+ * A running timer, created by Client#startTimer
+ * @param {Client} client The client to send the duration with
+ * @param {String|Array} stat The stat(s) to send
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Object=} options
+ *   @option {boolean} distribution Send the duration as a distribution instead of a timing default: false
+ * @constructor
+ */
+function Timer(client, stat, tags, {
+    distribution = false
+} = {}) {
+    this.client = client;
+    this.stat = stat;
+    this.tags = tagging.normalizeTags(tags) || [];
+    this.distribution = distribution;
+    this.start = process.hrtime();
+    this.stopped = false;
+}
+
+/**
+ * Sends the time elapsed since the timer started. A timer only sends once.
+ * @param {Array|Object=} extraTags Tags added to the tags of the timer. Optional.
+ * @param {Function=} callback Callback when message is done being delivered. Optional.
+ * @returns {Number} The elapsed time in milliseconds
+ */
+Timer.prototype.stop = function stop(extraTags = [], callback) {
+    const elapsed = process.hrtime(this.start),
+        duration = (elapsed[0] * 1e3) + (elapsed[1] / 1e6);
+
+    if (typeof extraTags === 'function') {
+        callback = extraTags;
+        extraTags = [];
+    }
+
+    if (!this.stopped) {
+        this.stopped = true;
+        this.client[this.distribution ? 'distribution' : 'timing'](this.stat, duration,
+            this.tags.concat(tagging.normalizeTags(extraTags) || []), callback);
+    }
+    return duration;
+};
+
+/**
+ * Stops a timer with the outcome tag if asked for
+ * @param {Timer} running The timer to stop
+ * @param {boolean} outcomeTags Whether to tag the duration with the outcome
+ * @param {boolean} failed Whether the timed function failed
+ * @private
+ */
+function stopWithOutcome(running, outcomeTags, failed) {
+    running.stop(outcomeTags ? [`outcome:${failed ? 'error' : 'success'}`] : []);
+}
+
+/**
+ * Starts a timer, whose stop() sends the elapsed time
+ * @param {String|Array} stat The stat(s) to send
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Object=} options distribution: send a distribution instead of a timing. Optional.
+ * @returns {Timer}
+ */
+function startTimer(stat, tags, options) {
+    return new Timer(this, stat, tags, options);
+}
+
+/**
+ * Wraps a synchronous function so that every call sends its duration, including calls that throw
+ * @param {Function} fn The function to time
+ * @param {String|Array} stat The stat(s) to send
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Object=} options
+ *   @option {boolean} distribution Send a distribution instead of a timing default: false
+ *   @option {boolean} outcomeTags  Tag the duration with outcome:success or outcome:error default: false
+ * @returns {Function}
+ */
+function timer(fn, stat, tags, options = {}) {
+    const self = this;
+
+    return function timed(...args) {
+        const running = self.startTimer(stat, tags, options);
+        let failed = true;
+
+        try {
+            const result = Reflect.apply(fn, this, args);
+
+            failed = false;
+            return result;
+        } finally {
+            stopWithOutcome(running, options.outcomeTags, failed);
+        }
+    };
+}
+
+/**
+ * Wraps an asynchronous function so that every call sends its duration once it completes.
+ * When the wrapped function is called with a callback as its last argument, the duration is sent when
+ * the callback is called and an error is its first argument. Otherwise, when the function returns a
+ * promise, the duration is sent once the promise settles. Synchronous throws are timed as errors.
+ * @param {Function} fn The function to time
+ * @param {String|Array} stat The stat(s) to send
+ * @param {Array|Object=} tags The Array or Object of tags to add to metrics. Optional.
+ * @param {Object=} options distribution and outcomeTags, as for timer(). Optional.
+ * @returns {Function}
+ */
+function asyncTimer(fn, stat, tags, options = {}) {
+    const self = this;
+
+    return function timed(...args) {
+        const running = self.startTimer(stat, tags, options),
+            callback = args[args.length - 1];
+        let result;
+
+        if (typeof callback === 'function') {
+            args[args.length - 1] = function timedCallback(...results) {
+                stopWithOutcome(running, options.outcomeTags, Boolean(results[0]));
+                return Reflect.apply(callback, this, results);
+            };
+        }
+
+        try {
+            result = Reflect.apply(fn, this, args);
+        } catch (error) {
+            stopWithOutcome(running, options.outcomeTags, true);
+            throw error;
+        }
+
+        if (typeof callback !== 'function' && result && typeof result.then === 'function') {
+            result.then(() => {
+                stopWithOutcome(running, options.outcomeTags, false);
+            }, () => {
+                stopWithOutcome(running, options.outcomeTags, true);
+            });
+        } else if (typeof callback !== 'function') {
+            stopWithOutcome(running, options.outcomeTags, false);
+        }
+        return result;
+    };
+}
+
+exports.Timer = Timer;
+exports.methods = {
+    startTimer,
+    timer,
+    asyncTimer
+};
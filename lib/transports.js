@@ -0,0 +1,444 @@
+'use strict';
+
+const dgram = require('dgram'),
+    dns = require('dns'),
+    EventEmitter = require('events'),
+    net = require('net'),
+    util = require('util');
+
+/**
+ * Wraps a callback so that it is called at most once, and only if it is a function
+ * @param {Function=} callback
+ * @returns {Function}
+ * @private
+ */
+function once(callback) {
+    let called = false;
+
+    return (error, bytes) => {
+        if (called) {
+            return;
+        }
+        called = true;
+        if (typeof callback === 'function') {
+            callback(error, bytes);
+        }
+    };
+}
+
+/**
+ * Frames a message for a stream socket of the agent: a 32 bit little endian length followed by the message
+ * @param {Buffer} buf The message
+ * @returns {Buffer}
+ * @private
+ */
+function lengthPrefixed(buf) {
+    const header = Buffer.alloc(4);
+
+    header.writeUInt32LE(buf.length, 0);
+    return Buffer.concat([header, buf]);
+}
+
+/**
+ * Terminates a message with a newline, for line based relays
+ * @param {Buffer} buf The message
+ * @returns {Buffer}
+ * @private
+ */
+function newlineTerminated(buf) {
+    return Buffer.concat([buf, Buffer.from('\n')]);
+}
+
+/**
+ * Sends each message as a UDP datagram to the host and port of a client.
+ * The client is read on every send so that a cached dns lookup is picked up.
+ * Errors of the socket and of dns lookups are emitted as 'error' events, only when listened to.
+ * @param {Client} client The client holding the host and port
+ * @constructor
+ */
+function UdpTransport(client) {
+    Reflect.apply(EventEmitter, this, []);
+
+    this.type = 'udp';
+    this.client = client;
+    this.dnsTimer = null;
+    this.closed = false;
+    this.createSocket(net.isIPv6(client.host) ? 'udp6' : 'udp4');
+}
+
+util.inherits(UdpTransport, EventEmitter);
+
+/**
+ * Creates the socket
+ * @param {String} socketType 'udp4' or 'udp6'
+ * @private
+ */
+UdpTransport.prototype.createSocket = function createSocket(socketType) {
+    const self = this;
+
+    this.socket = dgram.createSocket(socketType);
+    this.socket.on('error', (error) => {
+        self.fail(error);
+    });
+};
+
+/**
+ * Emits an error, only when listened to
+ * @param {Error} error
+ * @private
+ */
+UdpTransport.prototype.fail = function fail(error) {
+    if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+    }
+};
+
+/**
+ * Replaces the socket when the host resolves to an address of another family
+ * @param {Number} family 4 or 6
+ * @private
+ */
+UdpTransport.prototype.setFamily = function setFamily(family) {
+    const socketType = family === 6 ? 'udp6' : 'udp4',
+        previous = this.socket;
+
+    if (!this.closed && previous.type !== socketType) {
+        this.createSocket(socketType);
+        previous.close();
+    }
+};
+
+/**
+ * Looks a host name up and sends to the address found from then on, over a socket of its family.
+ * When the lookup fails the last address found is kept.
+ * @param {String} hostname The host name to look up
+ * @private
+ */
+UdpTransport.prototype.resolve = function resolve(hostname) {
+    const self = this;
+
+    dns.lookup(hostname, (error, address, family) => {
+        if (error) {
+            self.fail(error);
+        } else {
+            self.client.host = address;
+            self.setFamily(family);
+        }
+    });
+};
+
+/**
+ * Looks a host name up once to pick the family of the socket, IPv6 only when the host has no IPv4 address.
+ * The datagrams are still sent to the host name, which the socket looks up in its family.
+ * @param {String} hostname The host name, or an IP address which needs no lookup
+ */
+UdpTransport.prototype.lookupFamily = function lookupFamily(hostname) {
+    const self = this;
+
+    if (net.isIP(hostname) !== 0) {
+        return;
+    }
+    dns.lookup(hostname, {
+        all: true
+    }, (error, addresses) => {
+        // a failed lookup is reported by the sends, which look the host up again
+        if (!error && addresses.length > 0 && addresses.every((address) => {
+            return address.family === 6;
+        })) {
+            self.setFamily(6);
+        }
+    });
+};
+
+/**
+ * Looks a host name up now, and again every ttl milliseconds when a ttl is given
+ * @param {String} hostname The host name to look up
+ * @param {Number=} ttl Milliseconds between two lookups, or 0 to look up only once. Optional.
+ */
+UdpTransport.prototype.cacheDns = function cacheDns(hostname, ttl) {
+    const self = this;
+
+    this.resolve(hostname);
+    if (ttl > 0) {
+        this.dnsTimer = setInterval(() => {
+            self.resolve(hostname);
+        }, ttl);
+        this.dnsTimer.unref();
+    }
+};
+
+/**
+ * Sends a message. The errors thrown by the socket, such as an invalid port or a closed socket, are called back.
+ * @param {Buffer} buf The message to send
+ * @param {Function=} callback Callback with the error or the number of bytes sent. Optional.
+ */
+UdpTransport.prototype.send = function send(buf, callback) {
+    try {
+        this.socket.send(buf, 0, buf.length, this.client.port, this.client.host, callback);
+    } catch (error) {
+        if (typeof callback === 'function') {
+            callback(error);
+        } else {
+            this.fail(error);
+        }
+    }
+};
+
+/**
+ * Closes the socket
+ * @param {Function=} callback Callback once the socket is closed. Optional.
+ */
+UdpTransport.prototype.close = function close(callback) {
+    this.closed = true;
+    clearInterval(this.dnsTimer);
+    this.socket.close(callback);
+};
+
+/**
+ * Sends messages over a persistent stream connection. The connection is opened on the first send and opened
+ * again with an exponential backoff whenever it is lost. While disconnected, messages are held in a bounded
+ * queue and written once connected. Connection errors are emitted as 'error' events, only when listened to,
+ * and fail the callbacks of the sends that were in flight.
+ * @param {Object} options
+ *   @option {String}   type              The name of the transport
+ *   @option {Object}   connectOptions    The options given to net.connect
+ *   @option {Function} frame             Turns a message Buffer into the bytes written on the stream
+ *   @option {Number}   reconnectDelay    Milliseconds to wait before the first reconnection attempt default: 100
+ *   @option {Number}   maxReconnectDelay Maximum milliseconds between reconnection attempts default: 10000
+ *   @option {Number}   queueSize         Maximum number of messages held while disconnected default: 1000
+ * @constructor
+ */
+function StreamTransport({
+    type,
+    connectOptions,
+    frame,
+    reconnectDelay = 100,
+    maxReconnectDelay = 10000,
+    queueSize = 1000
+}) {
+    Reflect.apply(EventEmitter, this, []);
+
+    this.type = type;
+    this.connectOptions = connectOptions;
+    this.frame = frame;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.queueSize = queueSize;
+    this.delay = reconnectDelay;
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this.reconnectTimer = null;
+    this.queue = [];
+    this.pending = new Set();
+}
+
+util.inherits(StreamTransport, EventEmitter);
+
+/**
+ * Opens the connection. Once connected the queue is written, once closed the sends in flight
+ * fail and a reconnection is scheduled.
+ * @private
+ */
+StreamTransport.prototype.connect = function connect() {
+    const self = this,
+        socket = net.connect(this.connectOptions);
+    let lastError = null;
+
+    socket.on('connect', () => {
+        self.connected = true;
+        self.delay = self.reconnectDelay;
+        self.queue.splice(0, self.queue.length).forEach((item) => {
+            self.write(item.buf, item.done);
+        });
+    });
+    socket.on('error', (error) => {
+        lastError = error.code === 'EPROTOTYPE' ? datagramSocketError(self.connectOptions.path) : error;
+        if (self.listenerCount('error') > 0) {
+            self.emit('error', lastError);
+        }
+    });
+    socket.on('close', () => {
+        const error = lastError || new Error(`${self.type} connection closed`);
+
+        self.connected = false;
+        if (self.socket === socket) {
+            self.socket = null;
+        }
+        self.pending.forEach((done) => {
+            done(error);
+        });
+        self.pending.clear();
+        if (!self.closed) {
+            self.scheduleReconnect();
+        }
+    });
+
+    this.socket = socket;
+};
+
+/**
+ * Connects again after the current delay, doubling the delay for the next attempt
+ * @private
+ */
+StreamTransport.prototype.scheduleReconnect = function scheduleReconnect() {
+    const self = this;
+
+    this.reconnectTimer = setTimeout(() => {
+        self.reconnectTimer = null;
+        self.connect();
+    }, this.delay);
+    this.reconnectTimer.unref();
+    this.delay = Math.min(this.delay * 2, this.maxReconnectDelay);
+};
+
+/**
+ * Writes a framed message on the connected socket
+ * @param {Buffer} buf The message to write
+ * @param {Function} done Callback with the error or the number of bytes sent
+ * @private
+ */
+StreamTransport.prototype.write = function write(buf, done) {
+    const self = this;
+
+    this.pending.add(done);
+    this.socket.write(this.frame(buf), (error) => {
+        self.pending.delete(done);
+        if (error) {
+            done(error);
+        } else {
+            done(null, buf.length);
+        }
+    });
+};
+
+/**
+ * Sends a message, or queues it while disconnected
+ * @param {Buffer} buf The message to send
+ * @param {Function=} callback Callback with the error or the number of bytes sent. Optional.
+ */
+StreamTransport.prototype.send = function send(buf, callback) {
+    const done = once(callback);
+
+    if (this.closed) {
+        done(new Error(`${this.type} transport is closed`));
+    } else if (this.connected) {
+        this.write(buf, done);
+    } else if (this.queue.length >= this.queueSize) {
+        done(new Error(`${this.type} queue is full, the message was dropped`));
+    } else {
+        this.queue.push({
+            buf,
+            done
+        });
+        if (!this.socket && !this.reconnectTimer) {
+            this.connect();
+        }
+    }
+};
+
+/**
+ * Closes the connection once everything written has been sent. Messages still queued are failed.
+ * @param {Function=} callback Callback once the connection is closed. Optional.
+ */
+StreamTransport.prototype.close = function close(callback) {
+    const socket = this.socket,
+        error = new Error(`${this.type} transport is closed`);
+
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.queue.splice(0, this.queue.length).forEach((item) => {
+        item.done(error);
+    });
+
+    if (!socket) {
+        if (typeof callback === 'function') {
+            process.nextTick(callback);
+        }
+        return;
+    }
+    if (typeof callback === 'function') {
+        socket.once('close', () => {
+            callback();
+        });
+    }
+    socket.end();
+};
+
+/**
+ * Creates the error of a Unix datagram socket. Node has no Unix datagram sockets, and connecting to one as a
+ * stream fails with EPROTOTYPE.
+ * @param {String} path The path of the socket
+ * @returns {Error}
+ */
+function datagramSocketError(path) {
+    const error = new Error(`Unix datagram sockets are not supported, cannot send to ${path}: enable the stream ` +
+        'socket of the agent (dogstatsd_stream_socket) and send to its path');
+
+    error.code = 'EPROTOTYPE';
+    return error;
+}
+
+/**
+ * Creates the transport for the stream Unix domain socket of the agent (dogstatsd_stream_socket)
+ * @param {String} path The path of the socket
+ * @param {Object=} options reconnectDelay, maxReconnectDelay and queueSize of the StreamTransport
+ * @returns {StreamTransport}
+ */
+function createUnixTransport(path, options = {}) {
+    return new StreamTransport(Object.assign({
+        type: 'uds',
+        connectOptions: {
+            path
+        },
+        frame: lengthPrefixed
+    }, options));
+}
+
+/**
+ * Creates the transport for a TCP relay, sending newline terminated messages
+ * @param {String} host The host to connect to
+ * @param {String|Integer} port The port to connect to
+ * @param {Object=} options reconnectDelay, maxReconnectDelay and queueSize of the StreamTransport
+ * @returns {StreamTransport}
+ */
+function createTcpTransport(host, port, options = {}) {
+    return new StreamTransport(Object.assign({
+        type: 'tcp',
+        connectOptions: {
+            host,
+            port
+        },
+        frame: newlineTerminated
+    }, options));
+}
+
+/**
+ * Creates the transport of a client
+ * @param {Client} client The client to send for
+ * @param {Object} options
+ *   @option {String} protocol   'udp' or 'tcp'
+ *   @option {String} socketPath The path of a stream Unix domain socket, which takes precedence over the protocol
+ *   @option {Object} stream     reconnectDelay, maxReconnectDelay and queueSize of stream transports
+ * @returns {UdpTransport|StreamTransport}
+ */
+function createTransport(client, {
+    protocol,
+    socketPath,
+    stream
+}) {
+    if (socketPath) {
+        return createUnixTransport(socketPath, stream);
+    }
+    if (protocol === 'tcp') {
+        return createTcpTransport(client.host, client.port, stream);
+    }
+    return new UdpTransport(client);
+}
+
+exports.UdpTransport = UdpTransport;
+exports.StreamTransport = StreamTransport;
+exports.datagramSocketError = datagramSocketError;
+exports.createUnixTransport = createUnixTransport;
+exports.createTcpTransport = createTcpTransport;
+exports.createTransport = createTransport;
@@ -0,0 +1,101 @@
+'use strict';
+
+/* eslint-env mocha */
+const dgram = require('dgram'),
+    assert = require('assert');
+
+const StatsD = require('../').StatsD;
+
+describe('Aggregation', () => {
+    let server,
+        statsd;
+
+    beforeEach((done) => {
+        server = dgram.createSocket('udp4');
+        server.bind(0, '127.0.0.1', done);
+    });
+
+    afterEach(() => {
+        // closed here so that a failed assertion does not leave the client open
+        statsd.close();
+        server.close();
+    });
+
+    it('should sum counters, keep the last gauge and the unique set values', (done) => {
+        statsd = new StatsD({
+            host: '127.0.0.1',
+            port: server.address().port,
+            aggregate: true,
+            maxBufferSize: 1432,
+            // sends the counter sampled at 0.5
+            sampler: StatsD.randomSampler(() => {
+                return 0.42;
+            })
+        });
+
+        server.on('message', (message) => {
+            assert.deepEqual(message.toString().split('\n'), [
+                't:42|ms',
+                'a:1|c|@0.5',
+                'a:3|c',
+                'a:2|c|#foo',
+                'g:5|g',
+                's:x|s',
+                's:y|s'
+            ]);
+            done();
+        });
+
+        statsd.increment('a');
+        statsd.increment('a');
+        statsd.timing('t', 42);
+        statsd.increment('a', 2, ['foo']);
+        statsd.increment('a', 1, (error, bytes) => {
+            assert.equal(error, null);
+            assert.equal(bytes, 0);
+        });
+        statsd.increment('a', 1, 0.5);
+        statsd.gauge('g', 1);
+        statsd.gauge('g', 5);
+        statsd.set('s', 'x');
+        statsd.set('s', 'x');
+        statsd.set('s', 'y');
+        statsd.flush();
+    });
+
+    it('should send the aggregated metrics on the interval', (done) => {
+        statsd = new StatsD({
+            host: '127.0.0.1',
+            port: server.address().port,
+            aggregate: true,
+            aggregationFlushInterval: 10
+        });
+
+        server.on('message', (message) => {
+            assert.equal(message.toString(), 'foo.c:2|c|#gtag');
+            done();
+        });
+
+        statsd.childClient({
+            prefix: 'foo.'
+        }).increment('c', 1, ['gtag']);
+        statsd.increment('foo.c', 1, ['gtag']);
+    });
+
+    it('should send the aggregated metrics when closed', (done) => {
+        statsd = new StatsD({
+            host: '127.0.0.1',
+            port: server.address().port,
+            aggregate: true,
+            maxBufferSize: 1432
+        });
+
+        server.on('message', (message) => {
+            assert.equal(message.toString(), 'g:42|g');
+            done();
+        });
+
+        statsd.gauge('g', 42);
+        statsd.close();
+    });
+});
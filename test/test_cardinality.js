@@ -0,0 +1,140 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const CardinalityLimiter = require('../lib/cardinality'),
+    StatsD = require('../').StatsD;
+
+describe('CardinalityLimiter', () => {
+    it('should drop the metrics of new contexts past the limit and notify once', () => {
+        const notified = [],
+            statsd = new StatsD({
+                mock: true,
+                prefix: 'app.',
+                global_tags: ['env:prod'],
+                cardinalityLimit: {
+                    limit: 2
+                },
+                onCardinalityLimit: (limited) => {
+                    notified.push(limited);
+                }
+            });
+
+        statsd.increment('logins', 1, ['user:1']);
+        statsd.increment('logins', 1, ['user:2']);
+        statsd.increment('logins', 1, ['user:3']);
+        statsd.increment('logins', 1, ['user:4']);
+        statsd.increment('logins', 1, ['user:1']);
+        statsd.increment('signups', 1, ['user:3']);
+        assert.deepEqual(statsd.mockBuffer, [
+            'app.logins:1|c|#user:1,env:prod',
+            'app.logins:1|c|#user:2,env:prod',
+            'app.logins:1|c|#user:1,env:prod',
+            'app.signups:1|c|#user:3,env:prod'
+        ]);
+        assert.deepEqual(notified, [{
+            stat: 'app.logins',
+            tags: ['user:3'],
+            strategy: 'drop'
+        }]);
+        assert.equal(statsd.getStats().metricsCardinalityLimited, 2);
+    });
+
+    it('should count the tags in any order as the same context', () => {
+        const notified = [],
+            limiter = new CardinalityLimiter({
+                limit: 1
+            }, (limited) => {
+                notified.push(limited.stat);
+            });
+
+        assert.deepEqual(limiter.check('a', {
+            route: '/',
+            method: 'GET'
+        }), {
+            route: '/',
+            method: 'GET'
+        });
+        assert.deepEqual(limiter.check('a', ['method:GET', 'route:/']), ['method:GET', 'route:/']);
+        assert.deepEqual(notified, []);
+        assert.equal(limiter.check('a'), null);
+        assert.deepEqual(notified, ['a']);
+    });
+
+    it('should default the limit when it is not a positive number', () => {
+        [undefined, 0, -1, '10', NaN].forEach((limit) => {
+            assert.equal(new CardinalityLimiter({
+                limit,
+                strategy: 'collapse'
+            }, () => {
+                return undefined;
+            }).limit, 1000);
+        });
+        assert.equal(new CardinalityLimiter({
+            limit: 10
+        }, () => {
+            return undefined;
+        }).limit, 10);
+    });
+
+    it('should collapse the tag values never seen to the placeholder', () => {
+        const limiter = new CardinalityLimiter({
+            limit: 1,
+            strategy: 'collapse',
+            placeholder: 'overflow'
+        }, () => {
+            return undefined;
+        });
+
+        limiter.check('a', ['route:/', 'user:1']);
+        assert.deepEqual(limiter.check('a', ['route:/', 'user:2', 'debug']), ['route:/', 'user:overflow', 'overflow']);
+        assert.deepEqual(limiter.check('a', ['route:/login', 'user:1']), ['route:overflow', 'user:1']);
+    });
+
+    it('should collapse only the listed tags', () => {
+        const limiter = new CardinalityLimiter({
+            limit: 1,
+            strategy: 'collapse',
+            tags: ['user']
+        }, () => {
+            return undefined;
+        });
+
+        limiter.check('a', ['route:/', 'user:1']);
+        assert.deepEqual(limiter.check('a', ['route:/login', 'user:2']), ['route:/login', 'user:other']);
+    });
+
+    it('should strip the listed tags and emit the limited metric', (finished) => {
+        const statsd = new StatsD({
+            mock: true,
+            cardinalityLimit: {
+                limit: 1,
+                strategy: 'strip',
+                tags: ['user', 'session']
+            }
+        });
+
+        statsd.on('cardinalityLimit', (limited) => {
+            assert.deepEqual(limited, {
+                stat: 'requests',
+                tags: ['route:/', 'user:2', 'session:b'],
+                strategy: 'strip'
+            });
+            assert.deepEqual(statsd.mockBuffer, ['requests:1|c|#route:/,user:1,session:a']);
+            finished();
+        });
+
+        statsd.increment('requests', 1, {
+            route: '/',
+            user: 1,
+            session: 'a'
+        });
+        statsd.increment('requests', 1, {
+            route: '/',
+            user: 2,
+            session: 'b'
+        });
+        assert.deepEqual(statsd.mockBuffer, ['requests:1|c|#route:/,user:1,session:a', 'requests:1|c|#route:/']);
+    });
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const environment = require('../lib/environment'),
+    StatsD = require('../').StatsD;
+
+describe('Environment', () => {
+    describe('#host and #port', () => {
+        it('should read DD_AGENT_HOST and DD_DOGSTATSD_PORT', () => {
+            const env = {
+                DD_AGENT_HOST: 'agent.local',
+                DD_DOGSTATSD_PORT: '8126'
+            };
+
+            assert.equal(environment.host(env), 'agent.local');
+            assert.strictEqual(environment.port(env), 8126);
+        });
+
+        it('should prefer an udp DD_DOGSTATSD_URL', () => {
+            const env = {
+                DD_AGENT_HOST: 'agent.local',
+                DD_DOGSTATSD_PORT: '8126',
+                DD_DOGSTATSD_URL: 'udp://relay.local:9125'
+            };
+
+            assert.equal(environment.host(env), 'relay.local');
+            assert.strictEqual(environment.port(env), 9125);
+            assert.equal(environment.host({
+                DD_DOGSTATSD_URL: 'udp://[::1]:9125'
+            }), '::1');
+        });
+
+        it('should keep a unixstream DD_DOGSTATSD_URL as the host', () => {
+            assert.equal(environment.host({
+                DD_DOGSTATSD_URL: 'unixstream:///var/run/datadog/dsd.stream.socket'
+            }), 'unixstream:///var/run/datadog/dsd.stream.socket');
+        });
+
+        it('should ignore and report a unix DD_DOGSTATSD_URL', () => {
+            const env = {
+                DD_AGENT_HOST: 'agent.local',
+                DD_DOGSTATSD_URL: 'unix:///var/run/datadog/dsd.socket'
+            };
+
+            assert.equal(environment.host(env), 'agent.local');
+            assert.equal(environment.urlError(env).message, 'DD_DOGSTATSD_URL is ignored. Unix datagram sockets ' +
+                'are not supported, cannot send to /var/run/datadog/dsd.socket: enable the stream socket of the ' +
+                'agent (dogstatsd_stream_socket) and send to its path');
+            assert.equal(environment.urlError({}), null);
+        });
+
+        it('should ignore urls of other schemes', () => {
+            assert.equal(environment.host({
+                DD_DOGSTATSD_URL: 'http://agent.local'
+            }), undefined);
+            assert.equal(environment.port({
+                DD_DOGSTATSD_URL: 'http://agent.local:80'
+            }), undefined);
+        });
+    });
+
+    describe('#globalTags', () => {
+        it('should add the env, service, version and entity id tags', () => {
+            assert.deepEqual(environment.globalTags(['team:core'], {
+                DD_ENV: 'prod',
+                DD_SERVICE: 'api',
+                DD_VERSION: '1.2.3',
+                DD_ENTITY_ID: 'pod-uid'
+            }), ['team:core', 'env:prod', 'service:api', 'version:1.2.3', 'dd.internal.entity_id:pod-uid']);
+        });
+
+        it('should keep the tags given for the same names', () => {
+            assert.deepEqual(environment.globalTags(['env:staging'], {
+                DD_ENV: 'prod',
+                DD_SERVICE: 'api'
+            }), ['env:staging', 'service:api']);
+        });
+
+        it('should keep undefined tags when there is nothing to add', () => {
+            assert.equal(environment.globalTags(undefined, {}), undefined);
+        });
+    });
+
+    describe('#Client', () => {
+        const VARIABLES = ['DD_AGENT_HOST', 'DD_DOGSTATSD_PORT', 'DD_DOGSTATSD_URL', 'DD_ENV', 'DD_SERVICE'];
+        let saved;
+
+        beforeEach(() => {
+            saved = {};
+            VARIABLES.forEach((variable) => {
+                saved[variable] = process.env[variable];
+            });
+            process.env.DD_AGENT_HOST = '127.0.0.2';
+            process.env.DD_DOGSTATSD_PORT = '8126';
+            process.env.DD_ENV = 'prod';
+            process.env.DD_SERVICE = 'api';
+        });
+
+        afterEach(() => {
+            VARIABLES.forEach((variable) => {
+                if (typeof saved[variable] === 'undefined') {
+                    Reflect.deleteProperty(process.env, variable);
+                } else {
+                    process.env[variable] = saved[variable];
+                }
+            });
+        });
+
+        it('should fall back to the environment', () => {
+            const statsd = new StatsD();
+
+            assert.equal(statsd.host, '127.0.0.2');
+            assert.equal(statsd.port, 8126);
+            assert.deepEqual(statsd.global_tags, ['env:prod', 'service:api']);
+            statsd.close();
+        });
+
+        it('should let the options win over the environment', () => {
+            const statsd = new StatsD({
+                host: 'localhost',
+                port: 8125,
+                global_tags: {
+                    env: 'dev'
+                }
+            });
+
+            assert.equal(statsd.host, 'localhost');
+            assert.equal(statsd.port, 8125);
+            assert.deepEqual(statsd.global_tags, ['env:dev', 'service:api']);
+            statsd.close();
+        });
+
+        it('should connect to the socket of a unixstream DD_DOGSTATSD_URL', () => {
+            process.env.DD_DOGSTATSD_URL = 'unixstream:///tmp/dsd.stream.socket';
+
+            const statsd = new StatsD();
+
+            assert.equal(statsd.socketPath, '/tmp/dsd.stream.socket');
+            assert.equal(statsd.transport.type, 'uds');
+            statsd.close();
+        });
+
+        it('should send over udp and report the error of a unix DD_DOGSTATSD_URL', (finished) => {
+            process.env.DD_DOGSTATSD_URL = 'unix:///tmp/dsd.socket';
+
+            const statsd = new StatsD();
+
+            assert.equal(statsd.host, '127.0.0.2');
+            assert.equal(statsd.transport.type, 'udp');
+            statsd.on('error', (error) => {
+                assert.ok((/^DD_DOGSTATSD_URL is ignored/).test(error.message));
+                statsd.close();
+                finished();
+            });
+        });
+    });
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert'),
+    http = require('http');
+
+const middleware = require('../lib/middleware'),
+    StatsD = require('../').StatsD;
+
+/**
+ * Starts a server calling the middleware then the handler, and makes one request to it
+ * @param {Function} requestMiddleware The middleware of the client
+ * @param {Function} handler The request listener, called by next()
+ * @param {String} path The path to request
+ * @param {Function} callback Callback once the server is closed
+ */
+function request(requestMiddleware, handler, path, callback) {
+    const server = http.createServer((req, res) => {
+        requestMiddleware(req, res, () => {
+            handler(req, res);
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        http.get({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path
+        }, (res) => {
+            res.resume();
+            res.on('end', () => {
+                server.close(callback);
+            });
+        });
+    });
+}
+
+/**
+ * Creates a client recording the messages it sends
+ * @param {Array} sent The Array the messages are pushed to
+ * @returns {StatsD}
+ */
+function recordingClient(sent) {
+    const statsd = new StatsD();
+
+    statsd.socket.send = (buf, offset, length, port, host, callback) => {
+        sent.push(buf.toString());
+        callback(null, length);
+    };
+    return statsd;
+}
+
+describe('Middleware', () => {
+    describe('#normalizePath', () => {
+        it('should strip the query string and replace IDs', () => {
+            assert.equal(middleware.normalizePath('/users/42/orders?page=2'), '/users/:id/orders');
+            assert.equal(middleware.normalizePath('/sessions/3d274242-8ee0-11e9-a8a6-1e68d864ef1a'),
+                '/sessions/:id');
+            assert.equal(middleware.normalizePath('/commits/0123456789abcdef0123'), '/commits/:id');
+            assert.equal(middleware.normalizePath('/v2/health'), '/v2/health');
+        });
+    });
+
+    describe('#middleware', () => {
+        it('should send the duration and count of a request', (finished) => {
+            const sent = [],
+                statsd = recordingClient(sent);
+
+            request(statsd.middleware({
+                tags: ['app:web']
+            }), (req, res) => {
+                res.statusCode = 201;
+                res.end('created');
+            }, '/users/42?full=1', () => {
+                const tags = '|#app:web,method:GET,route:/users/:id,status_class:2xx';
+
+                assert.equal(sent.length, 2);
+                assert.ok(/^http\.request\.duration:[\d.]+\|ms\|/.test(sent[0]), sent[0]);
+                assert.ok(sent[0].endsWith(`|ms${tags}`), sent[0]);
+                assert.equal(sent[1], `http.request.count:1|c${tags}`);
+                statsd.close();
+                finished();
+            });
+        });
+
+        it('should use the stat, the route of express and distributions', (finished) => {
+            const sent = [],
+                statsd = recordingClient(sent);
+
+            request(statsd.middleware({
+                stat: 'api',
+                distribution: true
+            }), (req, res) => {
+                req.baseUrl = '/users';
+                req.route = {
+                    path: '/:name'
+                };
+                res.statusCode = 404;
+                res.end();
+            }, '/users/jane', () => {
+                assert.ok(/^api\.duration:[\d.]+\|d\|#method:GET,route:\/users\/:name,status_class:4xx$/
+                    .test(sent[0]), sent[0]);
+                assert.equal(sent[1], 'api.count:1|c|#method:GET,route:/users/:name,status_class:4xx');
+                statsd.close();
+                finished();
+            });
+        });
+
+        it('should use the normalizePath option', (finished) => {
+            const sent = [],
+                statsd = recordingClient(sent);
+
+            request(statsd.middleware({
+                normalizePath: () => {
+                    return 'all';
+                }
+            }), (req, res) => {
+                res.end();
+            }, '/anything', () => {
+                assert.equal(sent[1], 'http.request.count:1|c|#method:GET,route:all,status_class:2xx');
+                statsd.close();
+                finished();
+            });
+        });
+
+        it('should ignore the excluded paths', (finished) => {
+            const sent = [],
+                statsd = recordingClient(sent),
+                requestMiddleware = statsd.middleware({
+                    excludePaths: ['/health', /^\/static\//]
+                });
+
+            request(requestMiddleware, (req, res) => {
+                res.end();
+            }, '/health?verbose=1', () => {
+                request(requestMiddleware, (req, res) => {
+                    res.end();
+                }, '/static/app.js', () => {
+                    assert.deepEqual(sent, []);
+                    statsd.close();
+                    finished();
+                });
+            });
+        });
+
+        it('should work without next', (finished) => {
+            const sent = [],
+                statsd = recordingClient(sent),
+                requestMiddleware = statsd.middleware();
+
+            request((req, res, next) => {
+                requestMiddleware(req, res);
+                next();
+            }, (req, res) => {
+                res.statusCode = 500;
+                res.end();
+            }, '/', () => {
+                assert.equal(sent[1], 'http.request.count:1|c|#method:GET,route:/,status_class:5xx');
+                statsd.close();
+                finished();
+            });
+        });
+    });
+});
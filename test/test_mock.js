@@ -0,0 +1,111 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const StatsD = require('../').StatsD;
+
+describe('Mock', () => {
+    describe('#mockBuffer', () => {
+        it('should record the formatted messages and the parsed metrics', (finished) => {
+            const statsd = new StatsD({
+                mock: true,
+                prefix: 'app.',
+                global_tags: ['env:test']
+            });
+
+            statsd.increment('requests', 1, ['route:/'], (error, bytes) => {
+                assert.ok(!error);
+                assert.equal(bytes, 0);
+                statsd.event('title', 'text');
+                assert.deepEqual(statsd.mockBuffer, [
+                    'app.requests:1|c|#route:/,env:test',
+                    '_e{5,4}:title|text|#env:test'
+                ]);
+                assert.equal(statsd.mockEntries.length, 1);
+                assert.equal(statsd.mockEntries[0].name, 'app.requests');
+                finished();
+            });
+        });
+
+        it('should share the recorded messages with child clients', () => {
+            const statsd = new StatsD({
+                    mock: true
+                }),
+                child = statsd.childClient({
+                    prefix: 'db.'
+                });
+
+            child.gauge('connections', 3);
+            assert.deepEqual(statsd.mockBuffer, ['db.connections:3|g']);
+        });
+    });
+
+    describe('#clear', () => {
+        it('should forget the recorded messages', () => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.increment('a');
+            statsd.clear();
+            assert.deepEqual(statsd.mockBuffer, []);
+            assert.deepEqual(statsd.mockEntries, []);
+        });
+    });
+
+    describe('#find', () => {
+        it('should find a metric by name and tags', () => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.timing('latency', 12, ['route:/a']);
+            statsd.timing('latency', 34, {
+                route: '/b',
+                method: 'GET'
+            });
+            assert.equal(statsd.find('latency').value, 12);
+            assert.equal(statsd.find('latency', {
+                route: '/b'
+            }).value, 34);
+            assert.equal(statsd.find('latency', ['route:/c']), undefined);
+            assert.equal(statsd.find('missing'), undefined);
+        });
+    });
+
+    describe('#assertSent', () => {
+        it('should return the matching metric', () => {
+            const statsd = new StatsD({
+                mock: true,
+                sampler: StatsD.randomSampler(() => {
+                    return 0.42;
+                })
+            });
+
+            statsd.gauge('queue', 7, 0.5, ['name:jobs']);
+            assert.equal(statsd.assertSent('queue').value, 7);
+            assert.equal(statsd.assertSent('queue', {
+                value: 7,
+                type: 'g',
+                sampleRate: 0.5,
+                tags: ['name:jobs']
+            }).name, 'queue');
+        });
+
+        it('should throw an AssertionError listing what was sent', () => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.increment('a', 2);
+            assert.throws(() => {
+                statsd.assertSent('a', {
+                    value: 1
+                });
+            }, (error) => {
+                return error instanceof assert.AssertionError && (/a:2\|c/).test(error.message);
+            });
+        });
+    });
+});
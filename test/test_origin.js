@@ -0,0 +1,145 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+const origin = require('../lib/origin'),
+    StatsD = require('../').StatsD;
+
+const DOCKER_ID = '3726184226f5d3147c25fdeab5b60097e378e8a720503a5e19ecfdf29f869860';
+
+describe('Origin detection', () => {
+    describe('#parseCgroup', () => {
+        it('should find the container ID of cgroup v1 docker paths', () => {
+            assert.equal(origin.parseCgroup([
+                '12:hugetlb:/',
+                `11:pids:/docker/${DOCKER_ID}`,
+                `10:memory:/docker/${DOCKER_ID}`
+            ].join('\n')), DOCKER_ID);
+        });
+
+        it('should find the container ID of systemd scopes and Kubernetes pods', () => {
+            assert.equal(origin.parseCgroup(`0::/system.slice/docker-${DOCKER_ID}.scope`), DOCKER_ID);
+            assert.equal(origin.parseCgroup([
+                '1:name=systemd:/kubepods/besteffort/pod3d274242-8ee0-11e9-a8a6-1e68d864ef1a/',
+                `2:cpu:/kubepods/besteffort/pod3d274242-8ee0-11e9-a8a6-1e68d864ef1a/${DOCKER_ID}`
+            ].join('\n')), DOCKER_ID);
+        });
+
+        it('should find ECS task IDs', () => {
+            assert.equal(origin.parseCgroup('9:perf_event:/ecs/task/34dc0b5e626f2c5c4c5170e34b10e765-1234567890'),
+                '34dc0b5e626f2c5c4c5170e34b10e765-1234567890');
+        });
+
+        it('should return null outside of a container', () => {
+            assert.equal(origin.parseCgroup('0::/\n'), null);
+            assert.equal(origin.parseCgroup('12:cpu,cpuacct:/user.slice'), null);
+        });
+    });
+
+    describe('#parseMountinfo', () => {
+        it('should find the container ID of the hostname mount', () => {
+            assert.equal(origin.parseMountinfo([
+                '608 554 0:42 / / rw,relatime master:289 - overlay overlay rw',
+                `616 608 254:1 /var/lib/docker/containers/${DOCKER_ID}/hostname /etc/hostname rw - ext4 /dev/vda1 rw`
+            ].join('\n')), DOCKER_ID);
+        });
+
+        it('should skip the sandboxes of containerd', () => {
+            assert.equal(origin.parseMountinfo(
+                `1 0 254:1 /var/lib/containerd/sandboxes/containers/${DOCKER_ID}/hostname /etc/hostname rw - ext4`
+            ), null);
+        });
+    });
+
+    describe('#detectContainerId', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dogstatsd-origin-')),
+            cgroupPath = path.join(dir, 'cgroup'),
+            mountinfoPath = path.join(dir, 'mountinfo');
+
+        after(() => {
+            fs.unlinkSync(cgroupPath);
+            fs.unlinkSync(mountinfoPath);
+            fs.rmdirSync(dir);
+        });
+
+        it('should fall back to mountinfo on cgroup v2', () => {
+            fs.writeFileSync(cgroupPath, '0::/\n');
+            fs.writeFileSync(mountinfoPath,
+                `616 608 254:1 /var/lib/docker/containers/${DOCKER_ID}/resolv.conf /etc/resolv.conf rw - ext4\n`);
+            assert.equal(origin.detectContainerId({
+                cgroupPath,
+                mountinfoPath
+            }), DOCKER_ID);
+        });
+
+        it('should return null when the files cannot be read', () => {
+            assert.equal(origin.detectContainerId({
+                cgroupPath: path.join(dir, 'missing'),
+                mountinfoPath: path.join(dir, 'missing')
+            }), null);
+        });
+    });
+
+    describe('#containerID', () => {
+        it('should add the container ID to metrics, events and service checks', (finished) => {
+            const statsd = new StatsD({
+                    containerID: 'abc123',
+                    sampler: StatsD.randomSampler(() => {
+                        return 0.42;
+                    })
+                }),
+                sent = [];
+
+            statsd.socket.send = (buf, offset, length, port, host, callback) => {
+                sent.push(buf.toString());
+                callback(null, length);
+            };
+            statsd.increment('a', 1, 0.5, ['foo'], () => {
+                statsd.event('title', 'text', {}, () => {
+                    statsd.check('check', StatsD.CHECKS.OK, {
+                        message: 'ok'
+                    }, () => {
+                        assert.deepEqual(sent, [
+                            'a:1|c|@0.5|#foo|c:abc123',
+                            '_e{5,4}:title|text|c:abc123',
+                            '_sc|check|0|m:ok|c:abc123'
+                        ]);
+                        statsd.close();
+                        finished();
+                    });
+                });
+            });
+        });
+
+        it('should add the container ID to every buffered message', (finished) => {
+            const statsd = new StatsD({
+                    containerID: 'abc123',
+                    maxBufferSize: 1000
+                }),
+                sent = [];
+
+            statsd.socket.send = (buf, offset, length, port, host, callback) => {
+                sent.push(buf.toString());
+                callback(null, length);
+            };
+            statsd.gauge('a', 1);
+            statsd.gauge('b', 2);
+            statsd.flush(() => {
+                assert.deepEqual(sent, ['a:1|g|c:abc123\nb:2|g|c:abc123']);
+                statsd.close();
+                finished();
+            });
+        });
+
+        it('should not detect the container without originDetection', () => {
+            const statsd = new StatsD();
+
+            assert.equal(statsd.containerID, null);
+            statsd.close();
+        });
+    });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const events = require('../lib/events'),
+    parser = require('../').parser;
+
+describe('Parser', () => {
+    describe('#parseMetric', () => {
+        it('should parse the fields of a metric', () => {
+            assert.deepEqual(parser.parseMetric('a.b:1.5|ms|@0.5|#foo,bar:baz|c:abc'), {
+                name: 'a.b',
+                value: 1.5,
+                type: 'ms',
+                sampleRate: 0.5,
+                tags: ['foo', 'bar:baz'],
+                timestamp: null,
+                containerID: 'abc'
+            });
+        });
+
+        it('should parse the timestamp of a metric', () => {
+            assert.equal(parser.parseMetric('queue:3|g|#foo|T1700000000|c:abc').timestamp, 1700000000);
+        });
+
+        it('should keep the values of sets as Strings', () => {
+            assert.strictEqual(parser.parseMetric('users:42|s').value, '42');
+        });
+
+        it('should return null for events, service checks and garbage', () => {
+            assert.equal(parser.parseMetric('_e{5,4}:title|text'), null);
+            assert.equal(parser.parseMetric('_sc|check|0'), null);
+            assert.equal(parser.parseMetric('garbage'), null);
+        });
+    });
+
+    describe('#parseEvent', () => {
+        it('should parse what formatEvent formats', () => {
+            const message = events.formatEvent('deploy | v2', 'line one\nline two', {
+                date_happened: 1500000000,
+                hostname: 'web-1',
+                aggregation_key: 'deploys',
+                priority: 'low',
+                source_type_name: 'jenkins',
+                alert_type: 'success'
+            });
+
+            assert.deepEqual(parser.parseEvent(`${message}|#env:prod|c:abc`), {
+                title: 'deploy | v2',
+                text: 'line one\nline two',
+                date_happened: 1500000000,
+                hostname: 'web-1',
+                aggregation_key: 'deploys',
+                priority: 'low',
+                source_type_name: 'jenkins',
+                alert_type: 'success',
+                tags: ['env:prod'],
+                containerID: 'abc'
+            });
+        });
+
+        it('should count the lengths in bytes', () => {
+            const event = parser.parseEvent('_e{6,2}:héllo|ok');
+
+            assert.equal(event.title, 'héllo');
+            assert.equal(event.text, 'ok');
+        });
+
+        it('should return null for lengths that do not match', () => {
+            assert.equal(parser.parseEvent('_e{9,4}:title|text'), null);
+            assert.equal(parser.parseEvent('a:1|c'), null);
+        });
+    });
+
+    describe('#parseCheck', () => {
+        it('should parse what formatCheck formats', () => {
+            const message = events.formatCheck('db.up', 2, {
+                timestamp: 1500000000,
+                hostname: 'db-1',
+                message: 'down\nsee m: logs'
+            }, '|#env:prod');
+
+            assert.deepEqual(parser.parseCheck(`${message}|c:abc`), {
+                name: 'db.up',
+                status: 2,
+                timestamp: 1500000000,
+                hostname: 'db-1',
+                tags: ['env:prod'],
+                message: 'down\nsee m: logs',
+                containerID: 'abc'
+            });
+        });
+
+        it('should return null for other messages', () => {
+            assert.equal(parser.parseCheck('_sc|db.up|unknown'), null);
+            assert.equal(parser.parseCheck('a:1|c'), null);
+        });
+    });
+
+    describe('#parsePacket', () => {
+        it('should sort the lines of a packet', () => {
+            const parsed = parser.parsePacket(Buffer.from('a:1|c\n_e{1,1}:t|x\n_sc|check|0\ngarbage\n'));
+
+            assert.deepEqual(parsed.metrics.map((metric) => {
+                return metric.name;
+            }), ['a']);
+            assert.equal(parsed.events[0].title, 't');
+            assert.equal(parsed.checks[0].name, 'check');
+            assert.deepEqual(parsed.invalid, ['garbage']);
+        });
+    });
+});
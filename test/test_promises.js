@@ -0,0 +1,97 @@
+'use strict';
+
+/* eslint-env mocha */
+const dgram = require('dgram'),
+    assert = require('assert');
+
+const StatsD = require('../').StatsD;
+
+describe('Promises', () => {
+    let server,
+        statsd;
+
+    beforeEach((done) => {
+        server = dgram.createSocket('udp4');
+        server.bind(0, '127.0.0.1', () => {
+            statsd = new StatsD({
+                host: '127.0.0.1',
+                port: server.address().port,
+                // sends the stats sampled at 0.5 and drops those sampled at 0.1
+                sampler: StatsD.randomSampler(() => {
+                    return 0.42;
+                })
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        statsd.close();
+        server.close();
+    });
+
+    it('should resolve with the bytes sent', () => {
+        return statsd.promises.increment('test').then((bytes) => {
+            assert.equal(bytes, 8);
+        });
+    });
+
+    it('should resolve with the bytes of all the stats of an array', () => {
+        return statsd.promises.gauge(['a', 'b'], 42, 0.5, ['foo']).then((bytes) => {
+            assert.equal(bytes, 32);
+        });
+    });
+
+    it('should keep the optional arguments in place', (done) => {
+        server.on('message', (message) => {
+            assert.equal(message.toString(), 'test:1|c|#foo');
+            done();
+        });
+        statsd.promises.increment('test', undefined, ['foo']);
+    });
+
+    it('should resolve events and service checks', () => {
+        return Promise.all([
+            statsd.promises.event('title', 'text'),
+            statsd.promises.check('test', statsd.CHECKS.OK, ['foo'])
+        ]).then((bytes) => {
+            assert.deepEqual(bytes, [18, 15]);
+        });
+    });
+
+    it('should resolve with 0 bytes when sampled out', () => {
+        return statsd.promises.timing('test', 42, 0.1).then((bytes) => {
+            assert.equal(bytes, 0);
+        });
+    });
+
+    it('should reject with the error of the transport', () => {
+        const tcp = new StatsD({
+            host: '127.0.0.1',
+            port: 1,
+            protocol: 'tcp'
+        });
+
+        tcp.close();
+        return tcp.promises.histogram('test', 42).then(() => {
+            assert.fail('should have rejected');
+        }, (error) => {
+            assert.ok(error instanceof Error);
+        });
+    });
+
+    it('should resolve flush with the bytes of the datagram', () => {
+        const buffered = new StatsD({
+            host: '127.0.0.1',
+            port: server.address().port,
+            maxBufferSize: 1432
+        });
+
+        buffered.increment('a');
+        buffered.increment('b');
+        return buffered.promises.flush().then((bytes) => {
+            assert.equal(bytes, 11);
+            buffered.close();
+        });
+    });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const SendQueue = require('../lib/queue'),
+    StatsD = require('../').StatsD;
+
+/**
+ * Creates a transport holding the callbacks of its sends until they are completed
+ * @returns {Object}
+ */
+function createTransport() {
+    return {
+        sent: [],
+        pending: [],
+        send(buf, callback) {
+            this.sent.push(buf.toString());
+            this.pending.push(() => {
+                callback(null, buf.length);
+            });
+        },
+        complete() {
+            this.pending.shift()();
+        }
+    };
+}
+
+/**
+ * Sends messages on a queue, recording the errors of their callbacks by message
+ * @param {SendQueue} queue
+ * @param {Array} messages
+ * @param {Object} errors
+ */
+function sendAll(queue, messages, errors) {
+    messages.forEach((message) => {
+        queue.send(Buffer.from(message), (error) => {
+            if (error) {
+                errors[message] = error.message;
+            }
+        });
+    });
+}
+
+describe('SendQueue', () => {
+    it('should hold the messages beyond the sends in flight and send them in order', () => {
+        const transport = createTransport(),
+            queue = new SendQueue(transport, {
+                maxSize: 10,
+                maxInFlight: 2
+            }),
+            errors = {};
+
+        sendAll(queue, ['a:1|c', 'b:1|c', 'c:1|c', 'd:1|c'], errors);
+        assert.deepEqual(transport.sent, ['a:1|c', 'b:1|c']);
+        assert.equal(queue.items.length, 2);
+
+        transport.complete();
+        assert.deepEqual(transport.sent, ['a:1|c', 'b:1|c', 'c:1|c']);
+        transport.complete();
+        transport.complete();
+        transport.complete();
+        assert.deepEqual(transport.sent, ['a:1|c', 'b:1|c', 'c:1|c', 'd:1|c']);
+        assert.equal(queue.inFlight, 0);
+        assert.deepEqual(errors, {});
+    });
+
+    it('should drop the newest message by default', () => {
+        const transport = createTransport(),
+            drops = [],
+            queue = new SendQueue(transport, {
+                maxSize: 1,
+                maxInFlight: 1,
+                onDrop: (bytes) => {
+                    drops.push(bytes);
+                }
+            }),
+            errors = {};
+
+        sendAll(queue, ['a:1|c', 'b:1|c', 'c:10|c'], errors);
+        assert.deepEqual(Object.keys(errors), ['c:10|c']);
+        assert.equal(errors['c:10|c'], 'The send queue is full, the message was dropped (drop-newest)');
+        assert.deepEqual(drops, [6]);
+        transport.complete();
+        assert.deepEqual(transport.sent, ['a:1|c', 'b:1|c']);
+    });
+
+    it('should drop the oldest message held', () => {
+        const transport = createTransport(),
+            queue = new SendQueue(transport, {
+                maxSize: 2,
+                maxInFlight: 1,
+                dropPolicy: 'drop-oldest'
+            }),
+            errors = {};
+
+        sendAll(queue, ['a:1|c', 'b:1|c', 'c:1|c', 'd:1|c'], errors);
+        assert.deepEqual(Object.keys(errors), ['b:1|c']);
+        transport.complete();
+        transport.complete();
+        assert.deepEqual(transport.sent, ['a:1|c', 'c:1|c', 'd:1|c']);
+    });
+
+    it('should drop the oldest message of the lowest priority', () => {
+        const transport = createTransport(),
+            queue = new SendQueue(transport, {
+                maxSize: 3,
+                maxInFlight: 1,
+                dropPolicy: 'priority'
+            }),
+            errors = {};
+
+        sendAll(queue, ['a:1|c', 'g:1|g', 'h1:1|h', 'h2:1|ms\nc:1|c', 'e:1|g', 'h3:1|d', '_sc|up|0', 's:x|s'], errors);
+        assert.deepEqual(Object.keys(errors).sort(), ['h1:1|h', 'h2:1|ms\nc:1|c', 'h3:1|d', 's:x|s']);
+        assert.deepEqual(queue.items.map((item) => {
+            return item.buf.toString();
+        }), ['g:1|g', 'e:1|g', '_sc|up|0']);
+    });
+
+    it('should drop the messages held on close', () => {
+        const transport = createTransport(),
+            queue = new SendQueue(transport, {
+                maxSize: 2,
+                maxInFlight: 1
+            }),
+            errors = {};
+
+        sendAll(queue, ['a:1|c', 'b:1|c'], errors);
+        queue.close();
+        assert.deepEqual(errors, {
+            'b:1|c': 'The send queue is closed, the message was dropped'
+        });
+        assert.equal(queue.items.length, 0);
+    });
+
+    describe('#sendQueueSize', () => {
+        it('should limit the sends in flight of a client and count the dropped messages', (finished) => {
+            const statsd = new StatsD({
+                    sendQueueSize: 1,
+                    maxInFlight: 1
+                }),
+                callbacks = [];
+            let dropped = null;
+
+            statsd.socket.send = (buf, offset, length, port, host, callback) => {
+                callbacks.push(() => {
+                    callback(null, length);
+                });
+            };
+
+            statsd.increment('a');
+            statsd.increment('b');
+            statsd.increment('c', 1, (error) => {
+                dropped = error;
+            });
+            assert.equal(callbacks.length, 1);
+            assert.ok(dropped instanceof Error);
+
+            const stats = statsd.getStats();
+
+            assert.equal(stats.packetsDroppedQueue, 1);
+            assert.equal(stats.bytesDroppedQueue, 'c:1|c'.length);
+            assert.equal(stats.packetsDropped, 1);
+
+            callbacks.shift()();
+            assert.equal(callbacks.length, 1);
+            callbacks.shift()();
+            statsd.close({
+                timeout: 10
+            }, () => {
+                assert.equal(statsd.getStats().packetsSent, 2);
+                finished();
+            });
+        });
+    });
+});
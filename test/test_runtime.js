@@ -0,0 +1,121 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const RuntimeMetrics = require('../').RuntimeMetrics,
+    StatsD = require('../').StatsD;
+
+describe('RuntimeMetrics', () => {
+    describe('#collect', () => {
+        it('should send the memory usage and the active handles with the global tags', () => {
+            const statsd = new StatsD({
+                    mock: true,
+                    global_tags: ['service:api']
+                }),
+                runtime = new RuntimeMetrics(statsd, {
+                    namespace: 'node',
+                    tags: ['pool:a']
+                });
+
+            runtime.collect();
+            ['node.heap.used', 'node.heap.total', 'node.memory.rss', 'node.memory.external', 'node.handles.active']
+                .forEach((name) => {
+                    const metric = statsd.assertSent(name, {
+                        type: 'g',
+                        tags: ['pool:a', 'service:api']
+                    });
+
+                    assert.ok(metric.value >= 0, name);
+                });
+            assert.equal(statsd.find('node.event_loop.delay.max'), undefined);
+        });
+
+        it('should send the count, sum and maximum of the garbage collection pauses once', () => {
+            const statsd = new StatsD({
+                    mock: true
+                }),
+                runtime = new RuntimeMetrics(statsd);
+
+            runtime.addPause({
+                duration: 1.5,
+                detail: {
+                    kind: 4
+                }
+            });
+            runtime.addPause({
+                duration: 0.5,
+                kind: 1
+            });
+            runtime.addPause({
+                duration: 0.25,
+                kind: 1
+            });
+            runtime.collect();
+            statsd.assertSent('runtime.node.gc.count', {
+                value: 1,
+                type: 'c',
+                tags: ['gc_type:major']
+            });
+            statsd.assertSent('runtime.node.gc.count', {
+                value: 2,
+                type: 'c',
+                tags: ['gc_type:minor']
+            });
+            statsd.assertSent('runtime.node.gc.pause.sum', {
+                value: 0.75,
+                type: 'c',
+                tags: ['gc_type:minor']
+            });
+            statsd.assertSent('runtime.node.gc.pause.max', {
+                value: 0.5,
+                type: 'g',
+                tags: ['gc_type:minor']
+            });
+            assert.equal(statsd.mockEntries.filter((metric) => {
+                return metric.name.indexOf('runtime.node.gc.') === 0;
+            }).length, 6);
+
+            statsd.clear();
+            runtime.collect();
+            assert.equal(statsd.find('runtime.node.gc.count'), undefined);
+        });
+    });
+
+    describe('#start', () => {
+        it('should sample on the interval and measure the event loop delay', (finished) => {
+            const statsd = new StatsD({
+                    mock: true
+                }),
+                runtime = statsd.startRuntimeMetrics({
+                    interval: 20
+                });
+
+            setTimeout(() => {
+                runtime.stop();
+                assert.equal(typeof statsd.assertSent('runtime.node.event_loop.delay.max').value, 'number');
+                assert.ok(statsd.find('runtime.node.heap.used'));
+
+                statsd.clear();
+                setTimeout(() => {
+                    assert.deepEqual(statsd.mockBuffer, []);
+                    finished();
+                }, 40);
+            }, 50);
+        });
+
+        it('should not start twice', () => {
+            const runtime = new RuntimeMetrics(new StatsD({
+                    mock: true
+                })),
+                started = runtime.start(),
+                timer = runtime.timer;
+
+            assert.equal(started, runtime);
+            runtime.start();
+            assert.equal(runtime.timer, timer);
+            runtime.stop();
+            assert.equal(runtime.timer, null);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const sampling = require('../lib/sampling'),
+    StatsD = require('../').StatsD;
+
+describe('Sampling', () => {
+    let random;
+
+    beforeEach(() => {
+        random = Math.random;
+        Math.random = () => {
+            return 0.42;
+        };
+    });
+
+    afterEach(() => {
+        Math.random = random;
+    });
+
+    describe('#hash', () => {
+        it('should hash the same value to the same number in [0, 1)', () => {
+            const value = sampling.hash('4bf92f3577b34da6a3ce929d0e0e4736');
+
+            assert.equal(sampling.hash('4bf92f3577b34da6a3ce929d0e0e4736'), value);
+            assert.notEqual(sampling.hash('00f067aa0ba902b7'), value);
+            assert.ok(value >= 0 && value < 1);
+            assert.equal(sampling.hash(''), 0x811c9dc5 / 0x100000000);
+        });
+    });
+
+    describe('#randomSampler', () => {
+        it('should compare the random source to the sample rate', () => {
+            const sample = StatsD.randomSampler(() => {
+                return 0.3;
+            });
+
+            assert.equal(sample(0.5), true);
+            assert.equal(sample(0.2), false);
+        });
+    });
+
+    describe('#hashSampler', () => {
+        it('should decide the same for the same key', () => {
+            const sample = StatsD.hashSampler((stat, tags) => {
+                    return tags && tags.trace_id;
+                }),
+                key = 'trace-1',
+                rate = (sampling.hash(key) + 1) / 2;
+
+            assert.equal(sample(rate, 'a', {
+                trace_id: key
+            }), true);
+            assert.equal(sample(sampling.hash(key) / 2, 'b', {
+                trace_id: key
+            }), false);
+        });
+
+        it('should sample at random without key', () => {
+            const sample = StatsD.hashSampler(() => {
+                return undefined;
+            });
+
+            assert.equal(sample(0.5, 'a'), true);
+            assert.equal(sample(0.4, 'a'), false);
+        });
+    });
+
+    describe('#sampler', () => {
+        it('should be called with the sample rate, the stat and the tags', (finished) => {
+            const calls = [],
+                statsd = new StatsD({
+                    mock: true,
+                    sampler: (sampleRate, stat, tags) => {
+                        calls.push([sampleRate, stat, tags]);
+                        return false;
+                    }
+                });
+
+            statsd.increment('a', 1, 0.5, ['foo'], (error, bytes) => {
+                assert.ok(!error);
+                assert.equal(bytes, 0);
+                assert.deepEqual(calls, [[0.5, 'a', ['foo']]]);
+                assert.deepEqual(statsd.mockBuffer, []);
+                assert.equal(statsd.getStats().metricsSampledOut, 1);
+                finished();
+            });
+        });
+
+        it('should not be called for metrics that are not sampled', () => {
+            const statsd = new StatsD({
+                mock: true,
+                sampler: () => {
+                    throw new Error('should not sample');
+                }
+            });
+
+            statsd.increment('a');
+            statsd.gauge('b', 1, 1);
+            assert.deepEqual(statsd.mockBuffer, ['a:1|c', 'b:1|g']);
+        });
+
+        it('should sample an array once', () => {
+            let calls = 0,
+                keep = false;
+            const statsd = new StatsD({
+                mock: true,
+                sampler: () => {
+                    calls += 1;
+                    return keep;
+                }
+            });
+
+            statsd.increment(['a', 'b', 'c'], 1, 0.5);
+            assert.equal(calls, 1);
+            assert.deepEqual(statsd.mockBuffer, []);
+            assert.equal(statsd.getStats().metricsSampledOut, 3);
+
+            keep = true;
+            statsd.increment(['a', 'b', 'c'], 1, 0.5);
+            assert.equal(calls, 2);
+            assert.deepEqual(statsd.mockBuffer, ['a:1|c|@0.5', 'b:1|c|@0.5', 'c:1|c|@0.5']);
+        });
+
+        it('should call back once for a sampled out array', (finished) => {
+            const statsd = new StatsD({
+                mock: true,
+                sampler: () => {
+                    return false;
+                }
+            });
+
+            statsd.increment(['a', 'b'], 1, 0.5, (error, bytes) => {
+                assert.ok(!error);
+                assert.equal(bytes, 0);
+                finished();
+            });
+        });
+    });
+
+    describe('#sampleRates', () => {
+        it('should sample the metrics sent without sample rate by their full name', () => {
+            const statsd = new StatsD({
+                mock: true,
+                prefix: 'app.',
+                sampleRates: {
+                    'app.requests': 0.25
+                },
+                sampler: (sampleRate) => {
+                    return sampleRate === 0.25;
+                }
+            });
+
+            statsd.increment('requests');
+            statsd.increment('requests', 1, 0.5);
+            statsd.increment('errors');
+            statsd.childClient({
+                prefix: 'db.'
+            }).increment('requests');
+            assert.deepEqual(statsd.mockBuffer, ['app.requests:1|c|@0.25', 'app.errors:1|c', 'app.db.requests:1|c']);
+        });
+
+        it('should sample the stats of an array by their own rates', () => {
+            const statsd = new StatsD({
+                mock: true,
+                sampleRates: {
+                    a: 0.1,
+                    b: 0.9
+                }
+            });
+
+            statsd.increment(['a', 'b', 'c']);
+            assert.deepEqual(statsd.mockBuffer, ['b:1|c|@0.9', 'c:1|c']);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+const Server = require('../').Server,
+    StatsD = require('../').StatsD;
+
+describe('Server', () => {
+    it('should collect the metrics, events and checks sent over udp', (finished) => {
+        const server = new Server();
+
+        server.listen(() => {
+            const statsd = new StatsD({
+                host: server.address().address,
+                port: server.address().port,
+                maxBufferSize: 1000
+            });
+
+            server.on('check', () => {
+                assert.equal(server.packets.length, 1);
+                assert.equal(server.find('requests', ['route:/']).value, 2);
+                assert.equal(server.metrics[1].type, 'g');
+                assert.equal(server.events[0].title, 'deploy');
+                assert.equal(server.checks[0].status, StatsD.CHECKS.OK);
+                statsd.close();
+                server.close(finished);
+            });
+
+            statsd.increment('requests', 2, ['route:/']);
+            statsd.gauge('queue', 3);
+            statsd.event('deploy', 'v2');
+            statsd.check('up', StatsD.CHECKS.OK);
+            statsd.flush();
+        });
+    });
+
+    it('should collect the metrics sent over a unix domain socket', (finished) => {
+        const socketPath = path.join(os.tmpdir(), `dogstatsd-server-${process.pid}.sock`),
+            server = new Server({
+                protocol: 'uds',
+                path: socketPath
+            });
+
+        server.listen(() => {
+            const statsd = new StatsD({
+                host: `unixstream://${socketPath}`
+            });
+            let received = 0;
+
+            server.on('metric', () => {
+                received += 1;
+                if (received === 2) {
+                    assert.deepEqual(server.metrics.map((metric) => {
+                        return metric.name;
+                    }), ['a', 'b']);
+                    statsd.close();
+                    server.close(() => {
+                        assert.ok(!fs.existsSync(socketPath));
+                        finished();
+                    });
+                }
+            });
+
+            statsd.increment('a');
+            statsd.timing('b', 12);
+        });
+    });
+
+    it('should collect the metrics sent over tcp', (finished) => {
+        const server = new Server({
+            protocol: 'tcp'
+        });
+
+        server.listen(() => {
+            const statsd = new StatsD({
+                host: '127.0.0.1',
+                port: server.address().port,
+                protocol: 'tcp'
+            });
+
+            server.on('metric', (metric) => {
+                assert.equal(metric.name, 'users');
+                assert.equal(metric.value, 'jane');
+                statsd.close();
+                server.close(finished);
+            });
+
+            statsd.set('users', 'jane');
+        });
+    });
+
+    it('should forget what was received on clear', () => {
+        const server = new Server();
+
+        server.receive('a:1|c\ngarbage');
+        assert.equal(server.metrics.length, 1);
+        assert.equal(server.invalid.length, 1);
+        server.clear();
+        assert.deepEqual(server.packets, []);
+        assert.deepEqual(server.metrics, []);
+        assert.deepEqual(server.invalid, []);
+    });
+});
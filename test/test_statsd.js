@@ -3,6 +3,10 @@
 /* eslint-env mocha */
 /* eslint max-lines: "off", no-new: "off" */
 const dgram = require('dgram'),
+    EventEmitter = require('events'),
+    net = require('net'),
+    os = require('os'),
+    path = require('path'),
     assert = require('assert');
 
 const StatsD = require('../').StatsD;
@@ -26,6 +30,33 @@ function udpTest(testMethod, callback) {
     server.bind(0, '127.0.0.1');
 }
 
+let socketCount = 0;
+
+/**
+ * Creates a test harness that listens on a new Unix domain socket and reads length prefixed messages
+ * @param {Function} testMethod The test to run, should take message as the argument
+ * @param {Function} callback The callback to call with the server and its path once it is listening
+ * @private
+ */
+function udsTest(testMethod, callback) {
+    const socketPath = path.join(os.tmpdir(), `dogstatsd-test-${process.pid}-${socketCount += 1}.sock`),
+        server = net.createServer((connection) => {
+            let data = Buffer.alloc(0);
+
+            connection.on('data', (chunk) => {
+                data = Buffer.concat([data, chunk]);
+                while (data.length >= 4 && data.length >= 4 + data.readUInt32LE(0)) {
+                    testMethod(data.slice(4, 4 + data.readUInt32LE(0)).toString(), server, connection);
+                    data = data.slice(4 + data.readUInt32LE(0));
+                }
+            });
+        });
+
+    server.listen(socketPath, () => {
+        callback(server, socketPath);
+    });
+}
+
 /**
  * Given a StatsD method, make sure no data is sent to the server
  * for this method when used on a mock Client.
@@ -145,20 +176,26 @@ describe('StatsD', () => {
         it('should not attempt to cache a dns record if dnsCache is specified', (done) => {
             const dns = require('dns');
             const originalLookup = dns.lookup;
+            let statsd; // eslint-disable-line prefer-const
 
-            // replace the dns lookup function with our mock dns lookup
-            dns.lookup = (host, callback) => { // eslint-disable-line
-                assert.ok(false, 'StatsD constructor should not invoke dns.lookup when dnsCache is unspecified');
+            // replace the dns lookup function with our mock dns lookup, which only picks the socket family
+            dns.lookup = (host, options, callback) => {
                 dns.lookup = originalLookup;
+                assert.equal(options.all, true);
+                process.nextTick(() => {
+                    callback(null, [{
+                        address: '127.0.0.2',
+                        family: 4
+                    }]);
+                    assert.equal(statsd.host, 'localhost');
+                    statsd.close();
+                    done();
+                });
             };
 
-            new StatsD({
+            statsd = new StatsD({
                 host: 'localhost'
             });
-            process.nextTick(() => {
-                dns.lookup = originalLookup;
-                done();
-            });
         });
 
         it('should create a global letiable set to StatsD() when specified', () => {
@@ -241,6 +278,88 @@ describe('StatsD', () => {
         });
     });
 
+    describe('#tags', () => {
+        it('should accept tags and global tags as objects', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'test:1|c|#region:eu,env:prod');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        global_tags: {
+                            env: 'prod'
+                        }
+                    });
+
+                assert.deepEqual(statsd.global_tags, ['env:prod']);
+                statsd.increment('test', 1, {
+                    region: 'eu'
+                });
+            });
+        });
+
+        it('should accept tag objects followed by a callback', (finished) => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.gauge('test', 42, 0.5, {
+                region: 'eu'
+            }, (error, bytes) => {
+                assert.equal(error, null);
+                assert.equal(bytes, 0);
+                finished();
+            });
+        });
+
+        it('should replace reserved characters in names and tags', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'foo.a_b_c:1|c|#path:/a_b,c_d');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        prefix: 'foo.'
+                    });
+
+                statsd.increment('a:b|c', 1, ['path:/a,b', 'c#d']);
+            });
+        });
+
+        it('should call back with an error instead of sending in strict mode', (finished) => {
+            const statsd = new StatsD({
+                    strict: true,
+                    global_tags: ['gtag']
+                }),
+                sent = [];
+
+            statsd.socket.send = (buf, offset, length, port, host, callback) => {
+                sent.push(buf.toString());
+                callback(null, length);
+            };
+            statsd.increment('a:b', 1, (nameError) => {
+                assert.ok(/a:b/.test(nameError.message));
+                statsd.event('title', 'text', {}, {
+                    path: '/a,b'
+                }, (tagError) => {
+                    assert.ok(/path:\/a,b/.test(tagError.message));
+                    statsd.check('valid', StatsD.CHECKS.OK, (error) => {
+                        assert.ok(!error);
+                        assert.deepEqual(sent, ['_sc|valid|0|#gtag']);
+                        statsd.close();
+                        finished();
+                    });
+                });
+            });
+        });
+    });
+
     describe('#timing', () => {
         it('should send proper time format without prefix, suffix, sampling and callback', (finished) => {
             udpTest((message, server) => {
@@ -419,6 +538,96 @@ describe('StatsD', () => {
         });
     });
 
+    describe('#distribution', () => {
+        it('should send proper distribution format without prefix, suffix, sampling and callback', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'test:42|d');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port
+                    });
+
+                statsd.distribution('test', 42);
+            });
+        });
+
+        it('should send proper distribution format with prefix, suffix, sampling, tags and callback', (finished) => {
+            let called = false;
+            udpTest((message, server) => {
+                assert.equal(message, 'foo.test.bar:42|d|@0.5|#foo');
+                assert.equal(called, true);
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        prefix: 'foo.',
+                        suffix: '.bar'
+                    });
+
+                statsd.distribution('test', 42, 0.5, ['foo'], () => {
+                    called = true;
+                });
+            });
+        });
+
+        it('should properly send a and b with the same value', (finished) => {
+            let called = 0,
+                messageNumber = 0;
+
+            udpTest((message, server) => {
+                if (messageNumber === 0) {
+                    assert.equal(message, 'a:42|d');
+                    messageNumber += 1;
+                } else {
+                    assert.equal(message, 'b:42|d');
+                    server.close();
+                    finished();
+                }
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port
+                    });
+
+                statsd.distribution(['a', 'b'], 42, null, (error, bytes) => {
+                    called += 1;
+                    assert.ok(called === 1); // ensure it only gets called once
+                    assert.equal(error, null);
+                    assert.equal(bytes, 12);
+                });
+            });
+        });
+
+        it('should send timings as distributions when timingAsDistribution is specified', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'test:42|d');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        timingAsDistribution: true
+                    });
+
+                statsd.timing('test', 42);
+            });
+        });
+
+        it('should send no distribution stat when a mock Client is used', (finished) => {
+            assertMockClientMethod('distribution', finished);
+        });
+    });
+
     describe('#gauge', () => {
         it('should send proper gauge format without prefix, suffix, sampling and callback', (finished) => {
             udpTest((message, server) => {
@@ -506,6 +715,102 @@ describe('StatsD', () => {
         it('should send no gauge stat when a mock Client is used', (finished) => {
             assertMockClientMethod('gauge', finished);
         });
+
+        it('should send the timestamp after the tags and before the container ID', () => {
+            const statsd = new StatsD({
+                mock: true,
+                containerID: 'abc'
+            });
+
+            statsd.gauge('test', 42, 0.5, ['foo'], new Date(1700000000500));
+            statsd.gauge('test', 42, ['foo'], 1700000000.9, (error) => {
+                assert.ok(!error);
+            });
+            statsd.gauge('test', 42, undefined, undefined, 1700000000);
+            assert.deepEqual(statsd.mockBuffer, [
+                'test:42|g|@0.5|#foo|T1700000000|c:abc',
+                'test:42|g|#foo|T1700000000|c:abc',
+                'test:42|g|T1700000000|c:abc'
+            ]);
+        });
+
+        it('should take a Date for the timestamp wherever it is given', () => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.gauge('test', 42, new Date(1709294400000));
+            statsd.gauge('test', 42, new Date(1709294400000), ['foo']);
+            statsd.increment('test', 1, ['foo'], new Date(1709294400000), (error) => {
+                assert.ok(!error);
+            });
+            assert.deepEqual(statsd.mockBuffer, [
+                'test:42|g|T1709294400',
+                'test:42|g|#foo|T1709294400',
+                'test:1|c|#foo|T1709294400'
+            ]);
+        });
+
+        it('should report a sample rate that is not a probability', (finished) => {
+            const errors = [],
+                statsd = new StatsD({
+                    mock: true,
+                    errorHandler: (error) => {
+                        errors.push(error.message);
+                    }
+                });
+
+            statsd.gauge('test', 42, 0);
+            statsd.gauge('test', 42, 1.5, ['foo']);
+            assert.deepEqual(errors, [
+                'Invalid sample rate "0": sample rates are greater than 0 and at most 1',
+                'Invalid sample rate "1.5": sample rates are greater than 0 and at most 1'
+            ]);
+            statsd.increment('test', 1, 1709294400, (error) => {
+                assert.equal(error.message,
+                    'Invalid sample rate "1709294400": sample rates are greater than 0 and at most 1');
+                assert.deepEqual(statsd.mockBuffer, []);
+                finished();
+            });
+        });
+
+        it('should call back with an error for an invalid timestamp', (finished) => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.gauge('test', 42, ['foo'], new Date('never'), (error) => {
+                assert.equal(error.message,
+                    'Invalid timestamp "Invalid Date": timestamps are a Date or seconds since the epoch');
+                assert.deepEqual(statsd.mockBuffer, []);
+                finished();
+            });
+        });
+
+        it('should call back with an error for a timestamp in milliseconds', (finished) => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.gauge('test', 42, ['foo'], 1700000000000, (error) => {
+                assert.equal(error.message,
+                    'Invalid timestamp "1700000000000": timestamps are a Date or seconds since the epoch');
+                assert.deepEqual(statsd.mockBuffer, []);
+                finished();
+            });
+        });
+
+        it('should only send timestamps with counters and gauges', (finished) => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.sendAll('test', 42, 'h', undefined, undefined, 1700000000, (error) => {
+                assert.equal(error.message,
+                    'Timestamps are only sent with counters and gauges, not with metrics of type "h"');
+                finished();
+            });
+        });
     });
 
     describe('#increment', () => {
@@ -595,6 +900,18 @@ describe('StatsD', () => {
         it('should send no increment stat when a mock Client is used', (finished) => {
             assertMockClientMethod('increment', finished);
         });
+
+        it('should send a timestamp without aggregating the counter', () => {
+            const statsd = new StatsD({
+                mock: true,
+                aggregate: true
+            });
+
+            statsd.increment('test', 2, ['foo'], 1700000000);
+            statsd.decrement('test', 1, null, ['foo'], 1700000060);
+            assert.deepEqual(statsd.mockBuffer, ['test:2|c|#foo|T1700000000', 'test:-1|c|#foo|T1700000060']);
+            statsd.close();
+        });
     });
 
     describe('#decrement', () => {
@@ -775,4 +1092,912 @@ describe('StatsD', () => {
         });
     });
 
+    describe('#buffering', () => {
+        it('should pack buffered messages into one datagram on flush', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'a:1|c\nb:42|g|#foo');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        maxBufferSize: 1432
+                    });
+
+                statsd.increment('a');
+                statsd.gauge('b', 42, ['foo']);
+                statsd.flush((error, bytes) => {
+                    assert.equal(error, null);
+                    assert.equal(bytes, 17);
+                });
+            });
+        });
+
+        it('should flush when the next message would not fit in the buffer', (finished) => {
+            const messages = [];
+
+            udpTest((message, server) => {
+                messages.push(message);
+                if (messages.length === 2) {
+                    assert.deepEqual(messages, ['a:1|c\nb:1|c', 'c:1|c']);
+                    server.close();
+                    finished();
+                }
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        maxBufferSize: 12
+                    });
+
+                statsd.increment(['a', 'b', 'c']);
+                statsd.flush();
+            });
+        });
+
+        it('should flush after bufferFlushInterval', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'test:42|ms');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        maxBufferSize: 1432,
+                        bufferFlushInterval: 10
+                    });
+
+                statsd.timing('test', 42);
+            });
+        });
+
+        it('should call back once per array with the bytes of each message', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'a:42|h\nb:42|h');
+                server.close();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        maxBufferSize: 1432
+                    });
+
+                statsd.histogram(['a', 'b'], 42, (error, bytes) => {
+                    assert.equal(error, null);
+                    assert.equal(bytes, 12);
+                    finished();
+                });
+                statsd.flush();
+            });
+        });
+
+        it('should call back with 0 bytes when flushing an empty buffer', (finished) => {
+            const statsd = new StatsD({
+                maxBufferSize: 1432
+            });
+
+            statsd.flush((error, bytes) => {
+                assert.equal(error, null);
+                assert.equal(bytes, 0);
+                statsd.close();
+                finished();
+            });
+        });
+    });
+
+    describe('#event', () => {
+        it('should send proper event format for title and text', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, '_e{5,4}:title|text');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port
+                    });
+
+                statsd.event('title', 'text');
+            });
+        });
+
+        it('should escape newlines and count the escaped lengths', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, '_e{6,8}:deploy|foo\\nbar');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port
+                    });
+
+                statsd.event('deploy', 'foo\nbar');
+            });
+        });
+
+        it('should send options, tags and global tags', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, '_e{5,4}:title|text|d:1000000000|h:host|k:key|p:low|s:nagios|t:error|#foo,gtag');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        global_tags: ['gtag']
+                    });
+
+                statsd.event('title', 'text', {
+                    date_happened: new Date(1000000000000),
+                    hostname: 'host',
+                    aggregation_key: 'key',
+                    priority: 'low',
+                    source_type_name: 'nagios',
+                    alert_type: 'error'
+                }, ['foo']);
+            });
+        });
+
+        it('should call back with an error for events over the size limit', (finished) => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.event('title', new Array(9000).join('a'), (error) => {
+                assert.ok(error instanceof Error);
+                finished();
+            });
+        });
+
+        it('should send no event when a mock Client is used', (finished) => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.event('title', 'text', ['foo'], (error, bytes) => {
+                assert.ok(!error);
+                assert.equal(bytes, 0);
+                finished();
+            });
+        });
+    });
+
+    describe('#check', () => {
+        it('should send proper service check format with prefix and suffix', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, '_sc|foo.test.bar|0');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        prefix: 'foo.',
+                        suffix: '.bar'
+                    });
+
+                statsd.check('test', statsd.CHECKS.OK);
+            });
+        });
+
+        it('should send options and tags with the message last', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, '_sc|test|2|d:1000000000|h:host|#foo,gtag|m:disk full\\nm\\: 99%');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        global_tags: ['gtag']
+                    });
+
+                statsd.check('test', StatsD.CHECKS.CRITICAL, {
+                    timestamp: 1000000000,
+                    hostname: 'host',
+                    message: 'disk full\nm: 99%'
+                }, ['foo']);
+            });
+        });
+
+        it('should send no service check when a mock Client is used', (finished) => {
+            const statsd = new StatsD({
+                mock: true
+            });
+
+            statsd.check('test', StatsD.CHECKS.WARNING, (error, bytes) => {
+                assert.ok(!error);
+                assert.equal(bytes, 0);
+                finished();
+            });
+        });
+    });
+
+    describe('#unixstream', () => {
+        it('should send length prefixed messages over a Unix domain socket', (finished) => {
+            let statsd; // eslint-disable-line prefer-const
+
+            udsTest((message, server) => {
+                assert.equal(message, 'test:1|c|#foo');
+                statsd.close();
+                server.close();
+                finished();
+            }, (server, socketPath) => {
+                statsd = new StatsD({
+                    host: `unixstream://${socketPath}`
+                });
+
+                assert.equal(statsd.transport.type, 'uds');
+                statsd.increment('test', 1, ['foo']);
+            });
+        });
+
+        it('should read the path of the socket from a unixstream:// host', (finished) => {
+            let statsd; // eslint-disable-line prefer-const
+
+            udsTest((message, server) => {
+                assert.equal(message, 'test:42|g');
+                statsd.close();
+                server.close();
+                finished();
+            }, (server, socketPath) => {
+                statsd = new StatsD({
+                    host: `unixstream://${socketPath}`
+                });
+
+                assert.equal(statsd.socketPath, socketPath);
+                statsd.gauge('test', 42, (error, bytes) => {
+                    assert.equal(error, null);
+                    assert.equal(bytes, 9);
+                });
+            });
+        });
+
+        it('should connect to the stream socket of a socketPath or a unix:// host', (finished) => {
+            const clients = [];
+
+            udsTest((message, server) => {
+                clients.push(message);
+                if (clients.length === 2) {
+                    assert.deepEqual(clients.sort(), ['a:1|c', 'b:1|c']);
+                    server.close();
+                    finished();
+                }
+            }, (server, socketPath) => {
+                [new StatsD({
+                    socketPath
+                }), new StatsD({
+                    host: `unix://${socketPath}`
+                })].forEach((statsd, index) => {
+                    assert.equal(statsd.transport.type, 'uds');
+                    statsd.increment(index === 0 ? 'a' : 'b', 1, () => {
+                        statsd.close();
+                    });
+                });
+            });
+        });
+
+        it('should report a Unix datagram socket instead of throwing', (finished) => {
+            const errors = [],
+                statsd = new StatsD({
+                    socketPath: path.join(os.tmpdir(), 'dogstatsd-test-missing.sock'),
+                    errorHandler: (error) => {
+                        errors.push(error);
+                    }
+                });
+
+            statsd.increment('test');
+            // Node cannot create a Unix datagram socket, connecting to one fails like this
+            statsd.transport.socket.emit('error', Object.assign(new Error('connect EPROTOTYPE'), {
+                code: 'EPROTOTYPE'
+            }));
+            assert.equal(errors[0].code, 'EPROTOTYPE');
+            assert.equal(errors[0].message, 'Unix datagram sockets are not supported, cannot send to ' +
+                `${statsd.socketPath}: enable the stream socket of the agent (dogstatsd_stream_socket) and send to ` +
+                'its path');
+            // the message waits for a reconnection until the timeout
+            statsd.close({
+                timeout: 10
+            }, () => {
+                finished();
+            });
+        });
+
+        it('should reconnect when the socket is recreated', (finished) => {
+            let statsd; // eslint-disable-line prefer-const
+
+            /**
+             * Sends the second stat until the new server accepts it
+             * @private
+             */
+            function sendAgain() {
+                statsd.increment('b', 1, (error) => {
+                    if (error) {
+                        setTimeout(sendAgain, 10);
+                    }
+                });
+            }
+
+            udsTest((message, server, connection) => {
+                assert.equal(message, 'a:1|c');
+                connection.destroy();
+                server.close(() => {
+                    const recreated = net.createServer((newConnection) => {
+                        newConnection.on('data', (data) => {
+                            assert.equal(data.slice(4).toString(), 'b:1|c');
+                            statsd.close();
+                            recreated.close();
+                            finished();
+                        });
+                    });
+
+                    recreated.listen(statsd.socketPath, sendAgain);
+                });
+            }, (server, socketPath) => {
+                statsd = new StatsD({
+                    host: `unixstream://${socketPath}`
+                });
+
+                statsd.increment('a');
+            });
+        });
+
+        it('should emit connection errors on the transport when the socket does not exist', (finished) => {
+            const statsd = new StatsD({
+                host: `unixstream://${path.join(os.tmpdir(), 'dogstatsd-test-missing.sock')}`
+            });
+
+            statsd.transport.once('error', (error) => {
+                assert.equal(error.code, 'ENOENT');
+                // the queued message waits for a reconnection until the timeout
+                statsd.close({
+                    timeout: 10
+                });
+            });
+            statsd.increment('test', 1, (error) => {
+                assert.ok(error instanceof Error);
+                finished();
+            });
+        });
+    });
+
+    describe('#tcp', () => {
+        it('should send newline terminated messages over TCP', (finished) => {
+            let statsd; // eslint-disable-line prefer-const
+            const server = net.createServer((connection) => {
+                let data = '';
+
+                connection.on('data', (chunk) => {
+                    data += chunk;
+                    if (data === 'a:1|c\nb:42|g\n') {
+                        statsd.close();
+                        server.close();
+                        finished();
+                    }
+                });
+            });
+
+            server.listen(0, '127.0.0.1', () => {
+                statsd = new StatsD({
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    protocol: 'tcp'
+                });
+
+                assert.equal(statsd.transport.type, 'tcp');
+                statsd.increment('a');
+                statsd.gauge('b', 42);
+            });
+        });
+
+        it('should queue messages while disconnected and reconnect', (finished) => {
+            const probe = net.createServer();
+
+            probe.listen(0, '127.0.0.1', () => {
+                const port = probe.address().port;
+
+                probe.close(() => {
+                    const statsd = new StatsD({
+                        host: '127.0.0.1',
+                        port,
+                        protocol: 'tcp',
+                        reconnectDelay: 10
+                    });
+
+                    statsd.transport.once('error', (error) => {
+                        assert.equal(error.code, 'ECONNREFUSED');
+
+                        const server = net.createServer((connection) => {
+                            connection.on('data', (data) => {
+                                assert.equal(data.toString(), 'test:1|c\n');
+                                statsd.close();
+                                server.close();
+                            });
+                        });
+
+                        server.listen(port, '127.0.0.1');
+                    });
+                    statsd.increment('test', 1, (error, bytes) => {
+                        assert.equal(error, null);
+                        assert.equal(bytes, 8);
+                        finished();
+                    });
+                });
+            });
+        });
+
+        it('should call back with an error when the disconnected queue is full', (finished) => {
+            const statsd = new StatsD({
+                host: '127.0.0.1',
+                port: 1,
+                protocol: 'tcp',
+                disconnectedQueueSize: 1
+            });
+
+            statsd.increment('a');
+            statsd.increment('b', 1, (error) => {
+                assert.ok(error instanceof Error);
+                statsd.close();
+                finished();
+            });
+        });
+    });
+
+    describe('#childClient', () => {
+        it('should compose prefixes, suffixes and tags with the parent', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'app.db.query.ms.v1:42|h|#foo,gtag,module:db');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        prefix: 'app.',
+                        suffix: '.v1',
+                        global_tags: ['gtag']
+                    }),
+                    child = statsd.childClient({
+                        prefix: 'db.',
+                        suffix: '.ms',
+                        globalTags: ['module:db']
+                    });
+
+                child.histogram('query', 42, ['foo']);
+            });
+        });
+
+        it('should share the transport and the buffer of the parent', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'a:1|c\nchild.b:1|c\nchild.grandchild.c:1|c');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        maxBufferSize: 1432
+                    }),
+                    child = statsd.childClient({
+                        prefix: 'child.'
+                    }),
+                    grandchild = child.childClient({
+                        prefix: 'grandchild.'
+                    });
+
+                assert.ok(child instanceof StatsD);
+                assert.equal(child.socket, statsd.socket);
+                assert.equal(grandchild.transport, statsd.transport);
+                assert.deepEqual(grandchild.global_tags, []);
+
+                statsd.increment('a');
+                child.increment('b');
+                grandchild.increment('c');
+                child.flush();
+            });
+        });
+
+        it('should not change the parent', () => {
+            const statsd = new StatsD({
+                    prefix: 'app.',
+                    mock: true
+                }),
+                child = statsd.childClient({
+                    prefix: 'db.',
+                    globalTags: ['module:db']
+                });
+
+            assert.equal(child.prefix, 'app.db.');
+            assert.equal(statsd.prefix, 'app.');
+            assert.equal(statsd.global_tags, undefined);
+        });
+    });
+
+    describe('#cacheDns', () => {
+        const dns = require('dns');
+        const originalLookup = dns.lookup;
+
+        afterEach(() => {
+            dns.lookup = originalLookup;
+        });
+
+        it('should look the host up again every dnsTtl and keep the last address on failure', (finished) => {
+            const results = [
+                [null, '127.0.0.2', 4],
+                [new Error('EAI_AGAIN')],
+                [null, '127.0.0.3', 4]
+            ];
+            const errors = [];
+            let statsd; // eslint-disable-line prefer-const
+
+            dns.lookup = (host, callback) => {
+                const result = results.shift();
+
+                assert.equal(host, 'statsd.local');
+                process.nextTick(() => {
+                    Reflect.apply(callback, null, result);
+                    if (results.length === 1) {
+                        assert.equal(statsd.host, '127.0.0.2');
+                    } else if (results.length === 0) {
+                        assert.equal(statsd.host, '127.0.0.3');
+                        assert.deepEqual(errors, ['EAI_AGAIN']);
+                        statsd.close();
+                        finished();
+                    }
+                });
+            };
+
+            statsd = new StatsD({
+                host: 'statsd.local',
+                cacheDns: true,
+                dnsTtl: 10,
+                errorHandler: (error) => {
+                    errors.push(error.message);
+                    assert.equal(statsd.host, '127.0.0.2');
+                }
+            });
+        });
+
+        it('should look the host up only once without dnsTtl', (finished) => {
+            let lookups = 0;
+
+            dns.lookup = (host, callback) => {
+                lookups += 1;
+                callback(null, '127.0.0.1', 4);
+            };
+
+            const statsd = new StatsD({
+                host: 'localhost',
+                cacheDns: true
+            });
+
+            setTimeout(() => {
+                assert.equal(lookups, 1);
+                statsd.close();
+                finished();
+            }, 30);
+        });
+
+        it('should send over udp6 when the host resolves to an IPv6 address', (finished) => {
+            let statsd; // eslint-disable-line prefer-const
+
+            dns.lookup = (host, callback) => {
+                process.nextTick(() => {
+                    callback(null, '::1', 6);
+                    assert.equal(statsd.host, '::1');
+                    assert.equal(statsd.socket.type, 'udp6');
+                    statsd.close();
+                    finished();
+                });
+            };
+
+            statsd = new StatsD({
+                host: 'localhost',
+                cacheDns: true
+            });
+
+            assert.equal(statsd.socket.type, 'udp4');
+        });
+
+        it('should pick a udp6 socket without cacheDns for a host with only IPv6 addresses', (finished) => {
+            const lookups = [];
+            let statsd; // eslint-disable-line prefer-const
+
+            dns.lookup = (host, options, callback) => {
+                lookups.push(host);
+                process.nextTick(() => {
+                    callback(null, [{
+                        address: '::1',
+                        family: 6
+                    }]);
+                    assert.equal(statsd.host, 'ipv6.local');
+                    assert.equal(statsd.socket.type, 'udp6');
+                    // without dnsTtl the host is not looked up again
+                    setTimeout(() => {
+                        assert.deepEqual(lookups, ['ipv6.local']);
+                        statsd.close();
+                        finished();
+                    }, 30);
+                });
+            };
+
+            statsd = new StatsD({
+                host: 'ipv6.local'
+            });
+            assert.equal(statsd.socket.type, 'udp4');
+        });
+
+        it('should keep a udp4 socket for a host with an IPv4 address', (finished) => {
+            let statsd; // eslint-disable-line prefer-const
+
+            dns.lookup = (host, options, callback) => {
+                process.nextTick(() => {
+                    callback(null, [{
+                        address: '::1',
+                        family: 6
+                    }, {
+                        address: '127.0.0.1',
+                        family: 4
+                    }]);
+                    assert.equal(statsd.socket.type, 'udp4');
+                    statsd.close();
+                    finished();
+                });
+            };
+
+            statsd = new StatsD({
+                host: 'localhost'
+            });
+        });
+
+        it('should use a udp6 socket for an IPv6 host', () => {
+            const statsd = new StatsD({
+                host: '::1'
+            });
+
+            assert.equal(statsd.socket.type, 'udp6');
+            statsd.close();
+        });
+    });
+
+    describe('#close', () => {
+        it('should send the metrics sent right before closing', (finished) => {
+            const received = [];
+
+            udpTest((message) => {
+                received.push(message);
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port
+                    });
+                let closed = false;
+
+                statsd.increment('a');
+                statsd.gauge('b', 2, (error, bytes) => {
+                    assert.ok(!error);
+                    assert.equal(bytes, 5);
+                    assert.ok(!closed);
+                });
+                statsd.close((error) => {
+                    assert.ok(!error);
+                    closed = true;
+                    setTimeout(() => {
+                        assert.deepEqual(received, ['a:1|c', 'b:2|g']);
+                        server.close();
+                        finished();
+                    }, 20);
+                });
+            });
+        });
+
+        it('should flush the buffer and resolve a promise without callback', (finished) => {
+            udpTest((message, server) => {
+                assert.equal(message, 'a:1|c\nb:2|g');
+                server.close();
+                finished();
+            }, (server) => {
+                const address = server.address(),
+                    statsd = new StatsD({
+                        host: address.address,
+                        port: address.port,
+                        maxBufferSize: 1000
+                    });
+
+                statsd.increment('a');
+                statsd.gauge('b', 2);
+                statsd.close().then((result) => {
+                    assert.equal(result, undefined);
+                });
+            });
+        });
+
+        it('should drop and report what is sent after close', (finished) => {
+            const errors = [],
+                statsd = new StatsD({
+                    errorHandler: (error) => {
+                        errors.push(error.message);
+                    }
+                });
+
+            statsd.close(() => {
+                statsd.increment('a', 1, (error) => {
+                    assert.ok(/closed/.test(error.message));
+                    statsd.event('title', 'text');
+                    statsd.childClient({
+                        prefix: 'child.'
+                    }).gauge('b', 1);
+                    assert.equal(errors.length, 2);
+                    assert.equal(statsd.getStats().errors, 3);
+                    statsd.close().then(finished);
+                });
+            });
+        });
+
+        it('should drop and report the aggregated metrics sent after close', (finished) => {
+            const errors = [],
+                statsd = new StatsD({
+                    aggregate: true,
+                    errorHandler: (error) => {
+                        errors.push(error.message);
+                    }
+                });
+
+            statsd.close(() => {
+                statsd.increment('a', 1, (error, bytes) => {
+                    assert.ok(/closed/.test(error.message));
+                    assert.equal(bytes, undefined);
+                    statsd.gauge('b', 1);
+                    statsd.set(['c', 'd'], 'x');
+                    assert.equal(errors.length, 2);
+                    assert.equal(statsd.aggregator.metrics.size, 0);
+                    finished();
+                });
+            });
+        });
+
+        it('should call back with an error when the timeout expires', (finished) => {
+            const statsd = new StatsD({
+                host: '127.0.0.1',
+                port: 1,
+                protocol: 'tcp',
+                reconnectDelay: 1000
+            });
+            let failed = false;
+
+            statsd.on('error', () => {
+                // the connection is refused
+            });
+            statsd.increment('a', 1, (error) => {
+                assert.ok(error);
+                failed = true;
+            });
+            statsd.close({
+                timeout: 20
+            }, (error) => {
+                assert.ok(/Closed after 20ms with 1 sends still in flight/.test(error.message));
+                assert.ok(failed);
+                finished();
+            });
+        });
+    });
+
+    describe('#errors', () => {
+        it('should be an EventEmitter', () => {
+            assert.ok(new StatsD({
+                mock: true
+            }) instanceof EventEmitter);
+        });
+
+        it('should hand errors without a callback to the errorHandler', (finished) => {
+            const statsd = new StatsD({
+                strict: true,
+                mock: true,
+                errorHandler: (error) => {
+                    assert.ok(/a:b/.test(error.message));
+                    finished();
+                }
+            });
+
+            statsd.increment(['a:b', 'c']);
+        });
+
+        it('should hand socket errors to the errorHandler', (finished) => {
+            const statsd = new StatsD({
+                errorHandler: (error) => {
+                    assert.equal(error.message, 'boom');
+                    statsd.close();
+                    finished();
+                }
+            });
+
+            statsd.socket.emit('error', new Error('boom'));
+        });
+
+        it('should hand the errors thrown by the socket to the errorHandler and the callbacks', (finished) => {
+            const errors = [],
+                statsd = new StatsD({
+                    host: '127.0.0.1',
+                    port: 70000,
+                    errorHandler: (error) => {
+                        errors.push(error.code);
+                    }
+                });
+
+            statsd.increment('a');
+            statsd.increment('b', 1, (error) => {
+                assert.deepEqual(errors, ['ERR_SOCKET_BAD_PORT']);
+                assert.equal(error.code, 'ERR_SOCKET_BAD_PORT');
+                // nothing is left in flight, so close does not wait for its timeout
+                statsd.close({
+                    timeout: 60000
+                }, (closeError) => {
+                    assert.ok(!closeError);
+                    finished();
+                });
+            });
+        });
+
+        it('should hand dns errors of cacheDns to the errorHandler', (finished) => {
+            const dns = require('dns');
+            const originalLookup = dns.lookup;
+
+            dns.lookup = (host, callback) => {
+                dns.lookup = originalLookup;
+                process.nextTick(() => {
+                    callback(new Error('ENOTFOUND'));
+                });
+            };
+
+            new StatsD({
+                host: 'unknown.invalid',
+                cacheDns: true,
+                errorHandler: (error) => {
+                    assert.equal(error.message, 'ENOTFOUND');
+                    finished();
+                }
+            });
+        });
+
+        it('should emit errors of the transport when there is no callback', (finished) => {
+            const statsd = new StatsD({
+                host: '127.0.0.1',
+                port: 1,
+                protocol: 'tcp'
+            });
+
+            statsd.once('error', (error) => {
+                assert.equal(error.code, 'ECONNREFUSED');
+                statsd.close();
+                finished();
+            });
+            statsd.increment('test');
+        });
+
+        it('should not throw when nothing listens for errors', (finished) => {
+            const statsd = new StatsD();
+
+            statsd.socket.emit('error', new Error('boom'));
+            statsd.fail(new Error('boom'));
+            assert.equal(statsd.getStats().errors, 2);
+            statsd.close();
+            finished();
+        });
+    });
+
 });
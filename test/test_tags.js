@@ -0,0 +1,43 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const tagging = require('../lib/tags');
+
+describe('Tags', () => {
+    describe('#normalizeTags', () => {
+        it('should keep arrays and turn objects into tags', () => {
+            assert.deepEqual(tagging.normalizeTags(['foo', 'bar:baz']), ['foo', 'bar:baz']);
+            assert.deepEqual(tagging.normalizeTags({
+                env: 'prod',
+                shard: 3,
+                canary: null
+            }), ['env:prod', 'shard:3', 'canary']);
+        });
+
+        it('should return undefined when no tags are given', () => {
+            assert.equal(tagging.normalizeTags(), undefined);
+            assert.equal(tagging.normalizeTags('foo'), undefined);
+        });
+    });
+
+    describe('#sanitize', () => {
+        it('should replace the reserved characters of tags', () => {
+            assert.equal(tagging.sanitizeTag('path:/a,b|c#d\ne'), 'path:/a_b_c_d_e');
+        });
+
+        it('should replace the reserved characters of names', () => {
+            assert.equal(tagging.sanitizeName('a:b|c@d#e\nf.g'), 'a_b_c_d_e_f.g');
+        });
+    });
+
+    describe('#validate', () => {
+        it('should describe invalid names and tags', () => {
+            assert.equal(tagging.validateName('foo.bar'), null);
+            assert.ok(/foo:bar/.test(tagging.validateName('foo:bar').message));
+            assert.equal(tagging.validateTags(['a:b', 'c']), null);
+            assert.ok(/a,b/.test(tagging.validateTags(['c', 'a,b']).message));
+        });
+    });
+});
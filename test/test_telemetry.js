@@ -0,0 +1,116 @@
+'use strict';
+
+/* eslint-env mocha */
+const dgram = require('dgram'),
+    assert = require('assert');
+
+const StatsD = require('../').StatsD,
+    version = require('../package.json').version;
+
+describe('Telemetry', () => {
+    let server;
+
+    beforeEach((done) => {
+        server = dgram.createSocket('udp4');
+        server.bind(0, '127.0.0.1', done);
+    });
+
+    afterEach(() => {
+        server.close();
+    });
+
+    it('should count what the client sent and dropped', (done) => {
+        const statsd = new StatsD({
+            host: '127.0.0.1',
+            port: server.address().port,
+            strict: true,
+            // samples out the timing sampled at 0.1
+            sampler: StatsD.randomSampler(() => {
+                return 0.42;
+            })
+        });
+
+        statsd.increment('a');
+        statsd.timing('b', 42, 0.1);
+        statsd.increment('c:d');
+        statsd.event('title', 'text');
+        statsd.check('e', statsd.CHECKS.OK);
+        statsd.gauge('f', 1, (error) => {
+            assert.equal(error, null);
+
+            const stats = statsd.getStats();
+
+            assert.equal(stats.metrics, 2);
+            assert.deepEqual(stats.metricsByType, {
+                c: 1,
+                g: 1
+            });
+            assert.equal(stats.events, 1);
+            assert.equal(stats.serviceChecks, 1);
+            assert.equal(stats.metricsSampledOut, 1);
+            assert.equal(stats.errors, 1);
+            assert.equal(stats.packetsSent, 4);
+            assert.equal(stats.bytesSent, 35);
+            assert.equal(stats.packetsDropped, 0);
+            statsd.close();
+            done();
+        });
+    });
+
+    it('should send the counts since the last flush as telemetry metrics', (done) => {
+        const statsd = new StatsD({
+                host: '127.0.0.1',
+                port: server.address().port,
+                prefix: 'prefix.',
+                telemetry: true,
+                telemetryFlushInterval: 20
+            }),
+            tags = `#client:nodejs,client_version:${version},client_transport:udp`;
+        let flushes = 0;
+
+        server.on('message', (message) => {
+            const lines = message.toString().split('\n');
+
+            if (lines[0].indexOf('datadog.dogstatsd.client.') !== 0) {
+                return;
+            }
+            flushes += 1;
+            if (flushes === 1) {
+                assert.equal(lines[0], `datadog.dogstatsd.client.metrics:2|c|${tags}`);
+                assert.ok(lines.indexOf(`datadog.dogstatsd.client.metrics_by_type:2|c|${tags},metrics_type:c`) !== -1);
+            } else if (flushes === 2) {
+                assert.equal(lines[0], `datadog.dogstatsd.client.metrics:0|c|${tags}`);
+                assert.ok(lines.indexOf(`datadog.dogstatsd.client.packets_sent:1|c|${tags}`) !== -1);
+                assert.equal(lines.filter((line) => {
+                    return line.indexOf('metrics_by_type') !== -1;
+                }).length, 0);
+                statsd.close();
+                done();
+            }
+        });
+
+        statsd.increment('a');
+        statsd.increment('b');
+    });
+
+    it('should send the counts since the last flush when closed', (done) => {
+        const statsd = new StatsD({
+            host: '127.0.0.1',
+            port: server.address().port,
+            telemetry: true,
+            telemetryFlushInterval: 60000
+        });
+
+        server.on('message', (message) => {
+            const lines = message.toString().split('\n');
+
+            if (lines[0].indexOf('datadog.dogstatsd.client.') === 0) {
+                assert.equal(lines[0].split('|')[0], 'datadog.dogstatsd.client.metrics:1');
+                done();
+            }
+        });
+
+        statsd.increment('a');
+        statsd.close();
+    });
+});
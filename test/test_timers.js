@@ -0,0 +1,136 @@
+'use strict';
+
+/* eslint-env mocha */
+const assert = require('assert');
+
+const StatsD = require('../').StatsD;
+
+/**
+ * Creates a mock client recording the metrics it sends
+ * @returns {StatsD}
+ * @private
+ */
+function recordingClient() {
+    const statsd = new StatsD({
+        mock: true
+    });
+
+    statsd.sent = [];
+    statsd.send = (stat, value, type, {tags}) => {
+        statsd.sent.push({
+            stat,
+            value,
+            type,
+            tags
+        });
+    };
+    return statsd;
+}
+
+describe('Timers', () => {
+    describe('#startTimer', () => {
+        it('should send the elapsed time once when stopped', () => {
+            const statsd = recordingClient(),
+                timer = statsd.startTimer('test', ['foo']),
+                duration = timer.stop(['bar']);
+
+            timer.stop();
+            assert.equal(statsd.sent.length, 1);
+            assert.equal(statsd.sent[0].stat, 'test');
+            assert.equal(statsd.sent[0].type, 'ms');
+            assert.equal(statsd.sent[0].value, duration);
+            assert.ok(duration >= 0);
+            assert.deepEqual(statsd.sent[0].tags, ['foo', 'bar']);
+        });
+
+        it('should send a distribution when asked for', () => {
+            const statsd = recordingClient();
+
+            statsd.startTimer('test', [], {
+                distribution: true
+            }).stop();
+            assert.equal(statsd.sent[0].type, 'd');
+        });
+    });
+
+    describe('#timer', () => {
+        it('should time a synchronous function and return its result', () => {
+            const statsd = recordingClient(),
+                timed = statsd.timer((a, b) => {
+                    return a + b;
+                }, 'test', ['foo'], {
+                    outcomeTags: true
+                });
+
+            assert.equal(timed(2, 3), 5);
+            assert.equal(statsd.sent.length, 1);
+            assert.deepEqual(statsd.sent[0].tags, ['foo', 'outcome:success']);
+        });
+
+        it('should time functions that throw', () => {
+            const statsd = recordingClient(),
+                timed = statsd.timer(() => {
+                    throw new Error('failed');
+                }, 'test', [], {
+                    outcomeTags: true
+                });
+
+            assert.throws(timed, /failed/);
+            assert.deepEqual(statsd.sent[0].tags, ['outcome:error']);
+        });
+    });
+
+    describe('#asyncTimer', () => {
+        it('should time a function calling back', (done) => {
+            const statsd = recordingClient(),
+                timed = statsd.asyncTimer((value, callback) => {
+                    setTimeout(() => {
+                        callback(new Error('failed'), value);
+                    }, 5);
+                }, 'test', [], {
+                    outcomeTags: true
+                });
+
+            timed(42, (error, value) => {
+                assert.equal(error.message, 'failed');
+                assert.equal(value, 42);
+                assert.equal(statsd.sent.length, 1);
+                assert.ok(statsd.sent[0].value >= 4);
+                assert.deepEqual(statsd.sent[0].tags, ['outcome:error']);
+                done();
+            });
+        });
+
+        it('should time a function returning a promise', () => {
+            const statsd = recordingClient(),
+                timed = statsd.asyncTimer((value) => {
+                    return Promise.resolve(value);
+                }, 'test', [], {
+                    outcomeTags: true
+                });
+
+            return timed(42).then((value) => {
+                assert.equal(value, 42);
+                assert.deepEqual(statsd.sent[0].tags, ['outcome:success']);
+            });
+        });
+
+        it('should time a function returning a rejected promise', () => {
+            const statsd = recordingClient(),
+                timed = statsd.asyncTimer(() => {
+                    return Promise.reject(new Error('failed'));
+                }, 'test', [], {
+                    outcomeTags: true,
+                    distribution: true
+                });
+
+            return timed().then(() => {
+                assert.fail('should have rejected');
+            }, (error) => {
+                assert.equal(error.message, 'failed');
+                assert.equal(statsd.sent[0].type, 'd');
+                assert.deepEqual(statsd.sent[0].tags, ['outcome:error']);
+            });
+        });
+    });
+});